@@ -105,6 +105,98 @@ var startModes = {
         });
     },
 
+    /**
+     * Generates the "Request types" section of protocol.md, from the request type definitions.
+     *
+     * It reads the following arguments from the command line:
+     *  --print              Print the section, rather than updating protocol.md.
+     */
+    "protocol-docs": function () {
+        var messageSchema = require("./src/message-schema.js"),
+            requestSchemas = require("./src/request-schemas.js");
+
+        if (args.print) {
+            console.log(messageSchema.generateDocs(requestSchemas));
+        } else {
+            var docFile = path.join(__dirname, "protocol.md");
+            var markdown = fs.readFileSync(docFile, "utf8");
+            fs.writeFileSync(docFile, messageSchema.updateProtocolDoc(markdown, requestSchemas));
+            console.log("Updated " + docFile);
+        }
+    },
+
+    /**
+     * Reads a session recording (made with --record), and either prints it as a timeline, or plays the requests it
+     * received against a set of handlers and reports the replies that differ from those recorded.
+     *
+     * It reads the following arguments from the command line:
+     *  --file FILE          The recording.
+     *  --handlers MODULE    A module exporting the request handlers, keyed by request type. Without this, the
+     *                       timeline is printed.
+     */
+    replay: function () {
+        var sessionRecorder = require("./src/session-recorder.js");
+        var recording = sessionRecorder.readRecording(args.file);
+
+        if (!args.handlers) {
+            console.log(sessionRecorder.formatTimeline(recording));
+            return;
+        }
+
+        var handlers = require(path.resolve(args.handlers));
+        sessionRecorder.replay(recording, handlers).then(function (results) {
+            var mismatches = 0;
+            results.forEach(function (result) {
+                if (!result.matched) {
+                    mismatches++;
+                    console.log("Request " + result.request.request + " (" + result.request.type + ") differs:");
+                    console.log("  recorded: " + JSON.stringify(result.recorded));
+                    console.log("  replayed: " + JSON.stringify(result.replayed));
+                }
+            });
+            console.log(results.length + " requests replayed, " + mismatches + " differ");
+            process.exitCode = mismatches ? 1 : 0;
+        });
+    },
+
+    /**
+     * Lists, shows, or removes the crash reports (written when GPII, or another managed application, crashes).
+     *
+     * It reads the following arguments from the command line:
+     *  --show FILE          Print a report.
+     *  --prune              Remove old reports.
+     *  --keep N             With --prune, keep the newest N reports.
+     *  --days N             With --prune, remove the reports older than N days.
+     */
+    "crash-reports": function () {
+        var crashReports = require("./src/crash-reports.js");
+        var reportDir = path.join(dataDir, "crash-reports");
+
+        if (args.show) {
+            var file = path.resolve(reportDir, args.show);
+            console.log(JSON.stringify(crashReports.read(file), null, 4));
+        } else if (args.prune) {
+            if (args.keep === undefined && args.days === undefined) {
+                console.log("--prune needs --keep or --days");
+                process.exitCode = 1;
+                return;
+            }
+            var removed = crashReports.prune(reportDir, {
+                keep: args.keep === undefined ? undefined : parseInt(args.keep),
+                olderThan: args.days === undefined ? undefined : parseFloat(args.days) * 24 * 60 * 60 * 1000
+            });
+            console.log("Removed " + removed.length + " crash reports");
+        } else {
+            var reports = crashReports.list(reportDir);
+            reports.forEach(function (report) {
+                console.log(report.time + "  " + report.app + "  pid=" + report.pid + "  exitCode=" + report.exitCode
+                    + (report.signal ? "  signal=" + report.signal : "")
+                    + "  uptime=" + Math.round(report.uptime / 1000) + "s  " + path.basename(report.file));
+            });
+            console.log(reports.length + " crash reports in " + reportDir);
+        }
+    },
+
     /**
      * Called when the service has started.
      */
@@ -0,0 +1,145 @@
+/* Crash reports, written when a managed application stops unexpectedly.
+ *
+ * Copyright 2017 Raising the Floor - International
+ *
+ * Licensed under the New BSD license. You may not use this file except in
+ * compliance with this License.
+ *
+ * The R&D leading to these results received funding from the
+ * Department of Education - Grant H421A150005 (GPII-APCP). However,
+ * these results do not necessarily represent the policy of the
+ * Department of Education, and you should not assume endorsement by the
+ * Federal Government.
+ *
+ * You may obtain a copy of the License at
+ * https://github.com/GPII/universal/blob/master/LICENSE.txt
+ */
+
+"use strict";
+
+/*
+Each report is a JSON file, named APP-TIME-PID.json, in the "crash-reports" directory of the service's data directory:
+{
+    report: 1,
+    app: "gpii",
+    time: "2017-01-01T00:00:00.000Z",   // When it stopped.
+    pid: 1234,
+    launchId: "5f2a9c01",
+    exitCode: 1,                        // null if unknown.
+    signal: null,
+    uptime: 12345,                      // How long it ran (ms).
+    restartCount: 2,                    // Recent failures to start.
+    output: [ "stderr: ..." ],          // The last lines of output.
+    sessionEvents: [ { time: "...", event: "heartbeat-missed", detail: 1 } ],
+    ...                                 // Anything added by the application (for GPII, the pid file).
+}
+*/
+
+var fs = require("fs"),
+    path = require("path");
+
+var crashReports = exports;
+
+// Version of the report format.
+crashReports.formatVersion = 1;
+
+/**
+ * Writes a crash report.
+ *
+ * @param dir {String} The crash report directory (created if it doesn't exist).
+ * @param report {Object} The report. `app`, `pid` and `time` are used for the file name.
+ * @return {String} The path of the report.
+ */
+crashReports.write = function (dir, report) {
+    try {
+        fs.mkdirSync(dir);
+    } catch (e) {
+        if (e.code !== "EEXIST") {
+            throw e;
+        }
+    }
+
+    report = Object.assign({ report: crashReports.formatVersion }, report);
+    var name = report.app + "-" + report.time.replace(/[:.]/g, "-") + "-" + report.pid + ".json";
+    var file = path.join(dir, name);
+    fs.writeFileSync(file, JSON.stringify(report, null, 4));
+    return file;
+};
+
+/**
+ * Reads a crash report.
+ *
+ * @param file {String} The report file.
+ * @return {Object} The report.
+ */
+crashReports.read = function (file) {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+};
+
+/**
+ * Lists the crash reports, oldest first.
+ *
+ * @param dir {String} The crash report directory.
+ * @return {Object[]} A summary of each report: file, app, time, pid, exitCode, signal, and uptime.
+ */
+crashReports.list = function (dir) {
+    var files;
+    try {
+        files = fs.readdirSync(dir);
+    } catch (e) {
+        if (e.code === "ENOENT") {
+            return [];
+        }
+        throw e;
+    }
+
+    var reports = [];
+    files.forEach(function (name) {
+        if (path.extname(name) === ".json") {
+            var file = path.join(dir, name);
+            try {
+                var report = crashReports.read(file);
+                reports.push({
+                    file: file,
+                    app: report.app,
+                    time: report.time,
+                    pid: report.pid,
+                    exitCode: report.exitCode,
+                    signal: report.signal,
+                    uptime: report.uptime
+                });
+            } catch (e) {
+                // Not a report.
+            }
+        }
+    });
+
+    return reports.sort(function (a, b) {
+        return a.time < b.time ? -1 : (a.time > b.time ? 1 : 0);
+    });
+};
+
+/**
+ * Removes old crash reports.
+ *
+ * @param dir {String} The crash report directory.
+ * @param options {Object} Which reports to remove.
+ * @param options.keep {Number} [optional] Keep this many of the newest reports.
+ * @param options.olderThan {Number} [optional] Remove the reports older than this (ms).
+ * @return {String[]} The files that were removed.
+ */
+crashReports.prune = function (dir, options) {
+    var reports = crashReports.list(dir);
+    var oldest = options.olderThan === undefined ? null : new Date(Date.now() - options.olderThan).toISOString();
+    var keepFrom = options.keep === undefined ? 0 : reports.length - options.keep;
+
+    var removed = [];
+    reports.forEach(function (report, index) {
+        if (index < keepFrom || (oldest && report.time < oldest)) {
+            fs.unlinkSync(report.file);
+            removed.push(report.file);
+        }
+    });
+
+    return removed;
+};
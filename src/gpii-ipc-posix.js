@@ -0,0 +1,174 @@
+/* Starting a child process with an open channel, on POSIX systems.
+ *
+ * Copyright 2017 Raising the Floor - International
+ *
+ * Licensed under the New BSD license. You may not use this file except in
+ * compliance with this License.
+ *
+ * The R&D leading to these results received funding from the
+ * Department of Education - Grant H421A150005 (GPII-APCP). However,
+ * these results do not necessarily represent the policy of the
+ * Department of Education, and you should not assume endorsement by the
+ * Federal Government.
+ *
+ * You may obtain a copy of the License at
+ * https://github.com/GPII/universal/blob/master/LICENSE.txt
+ */
+
+"use strict";
+
+/*
+The POSIX counterpart of the Windows implementation in gpii-ipc.js. The child is spawned with one end of a socketpair
+as file descriptor 3 (node does this for a "pipe" in the stdio array), so it uses the channel in the same way as the
+inherited named pipe on Windows.
+*/
+
+var childProcess = require("child_process"),
+    Promise = require("bluebird"),
+    transports = require("./transports.js"),
+    logging = require("./logging.js");
+
+var ipcPosix = exports;
+
+// The file descriptor of the channel, in the child.
+ipcPosix.channelFd = 3;
+
+/**
+ * Starts a process with an open channel on file descriptor 3 (or connected with another transport).
+ *
+ * @param command {String} The command to execute.
+ * @param options {Object} [optional] Options (see execute).
+ * @param options.transport {String} [optional] A transport to connect with (see transports.js), instead of the
+ *  socketpair.
+ * @return {Promise} Resolves with the pipe, pid, the process handle (the ChildProcess), and `output` (the stdout and
+ *  stderr streams, if options.captureOutput is set).
+ */
+ipcPosix.startProcess = function (command, options) {
+    options = Object.assign({}, options);
+
+    if (options.transport) {
+        var transport = transports.get(options.transport);
+        return transport.prepareChild(options).then(function (child) {
+            options.env = Object.assign({}, options.env, child.env);
+            return ipcPosix.execute(command, options).then(function (proc) {
+                return child.connected(proc.pid).then(function (pipe) {
+                    return {
+                        pipe: pipe,
+                        pid: proc.pid,
+                        processHandle: proc,
+                        output: getOutput(proc, options)
+                    };
+                });
+            }, function (err) {
+                // Nothing is going to connect.
+                child.close();
+                throw err;
+            });
+        });
+    } else {
+        options.channel = true;
+        return ipcPosix.execute(command, options).then(function (proc) {
+            return {
+                pipe: proc.stdio[ipcPosix.channelFd],
+                pid: proc.pid,
+                processHandle: proc,
+                output: getOutput(proc, options)
+            };
+        });
+    }
+};
+
+/**
+ * Gets the output streams of a child process, if they're being captured.
+ *
+ * @param proc {ChildProcess} The child process.
+ * @param options {Object} The options it was started with.
+ * @return {Object} The stdout and stderr streams, or null if the output isn't captured.
+ */
+function getOutput(proc, options) {
+    return options.captureOutput
+        ? { stdout: proc.stdout, stderr: proc.stderr }
+        : null;
+}
+
+/**
+ * Executes a command.
+ *
+ * @param command {String} The command line. Arguments containing spaces can be enclosed in double quotes.
+ * @param options {Object} [optional] Options
+ * @param options.env {Object} Additional environment key-value pairs.
+ * @param options.currentDir {String} Current directory for the new process.
+ * @param options.uid {Number} The user id to run the process as.
+ * @param options.gid {Number} The group id to run the process as.
+ * @param options.channel {Boolean} true to open a socketpair to the child, on file descriptor 3.
+ * @param options.captureOutput {Boolean} true to give the child pipes for stdout and stderr, instead of this process's.
+ * @return {Promise} Resolves with the ChildProcess when it has started, or rejects if it couldn't be started.
+ */
+ipcPosix.execute = function (command, options) {
+    options = Object.assign({}, options);
+    var args = ipcPosix.parseCommandLine(command);
+
+    var output = options.captureOutput ? "pipe" : "inherit";
+    var stdio = ["ignore", output, output];
+    if (options.channel) {
+        stdio.push("pipe");
+    }
+
+    var spawnOptions = {
+        env: Object.assign({}, process.env, options.env),
+        cwd: options.currentDir,
+        stdio: stdio
+    };
+    if (options.uid !== undefined) {
+        spawnOptions.uid = options.uid;
+    }
+    if (options.gid !== undefined) {
+        spawnOptions.gid = options.gid;
+    }
+
+    return new Promise(function (resolve, reject) {
+        var proc = childProcess.spawn(args[0], args.slice(1), spawnOptions);
+        if (proc.pid) {
+            logging.debug("Started process " + proc.pid + ": " + command);
+            resolve(proc);
+        } else {
+            // It failed to start; the error is emitted after spawn returns.
+            proc.once("error", reject);
+        }
+    });
+};
+
+/**
+ * Splits a command line into the program and its arguments. Double quotes group characters (including spaces) into
+ * a single argument, and a backslash escapes the next character.
+ *
+ * @param command {String} The command line.
+ * @return {String[]} The program followed by the arguments.
+ */
+ipcPosix.parseCommandLine = function (command) {
+    var args = [];
+    var current = null;
+    var quoted = false;
+
+    for (var n = 0; n < command.length; n++) {
+        var c = command[n];
+        if (c === "\\" && n + 1 < command.length) {
+            current = (current || "") + command[++n];
+        } else if (c === "\"") {
+            quoted = !quoted;
+            current = current || "";
+        } else if (!quoted && /\s/.test(c)) {
+            if (current !== null) {
+                args.push(current);
+                current = null;
+            }
+        } else {
+            current = (current || "") + c;
+        }
+    }
+    if (current !== null) {
+        args.push(current);
+    }
+
+    return args;
+};
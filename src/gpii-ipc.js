@@ -22,8 +22,11 @@
 How it works:
 - A (randomly) named pipe is created and connected to.
 - The child process is created, with one end of the pipe passed to it (using c-runtime file descriptor inheritance).
+  (Other transports can be used instead of a named pipe, where the child connects to an address - see transports.js)
 - The child process is then able to use the pipe as it would with any file descriptor.
 - The parent (this process) can trust the client end of the pipe because it opened it itself.
+- A secret is generated for each launch, and given to the child in its environment (GPII_SERVICE_SECRET). The child
+  signs its requests with it, so requests written by another process that got hold of the pipe handle are rejected.
 - See GPII-2399.
 
 The server (this process) end of the pipe is a node IPC socket and is created by node. The client end of the pipe can
@@ -33,43 +36,158 @@ created using the Win32 API. This doesn't affect how the client receives the pip
 
 */
 
-var ref = require("ref"),
-    net = require("net"),
+var net = require("net"),
     crypto = require("crypto"),
     Promise = require("bluebird"),
-    windows = require("./windows.js"),
+    transports = require("./transports.js"),
+    ipcPosix = require("./gpii-ipc-posix.js"),
     logging = require("./logging.js");
 
-var winapi = windows.winapi;
+// The Windows API is only loaded on Windows.
+var isWindows = process.platform === "win32",
+    ref = isWindows ? require("ref") : null,
+    windows = isWindows ? require("./windows.js") : null,
+    winapi = isWindows ? windows.winapi : null;
+
 var ipc = exports;
 
 /**
  * Starts a process as the current desktop user, with an open pipe inherited.
  *
+ * On other systems, the process is started with a socketpair on file descriptor 3 instead (see gpii-ipc-posix.js).
+ *
  * @param command {String} The command to execute.
  * @param options {Object} [optional] Options
  * @param options.alwaysRun {boolean} true to run as the current user, if the console user token could not be received.
  * @param options.env {object} Additional environment key-value pairs.
  * @param options.currentDir {string} Current directory for the new process.
- * @return {Promise}
+ * @param options.transport {String} The transport for the connection (see transports.js). Default: named-pipe.
+ * @param options.uid {Number} The user id to run the process as (POSIX only).
+ * @param options.gid {Number} The group id to run the process as (POSIX only).
+ * @param options.captureOutput {Boolean} true to give the process its own stdout and stderr pipes, instead of this
+ *  process's std handles (which a service doesn't have).
+ * @return {Promise} Resolves with the pipe, pid, process handle, the secret shared with the process, and `output`: the
+ *  stdout and stderr streams (if captured).
  */
 ipc.startProcess = function (command, options) {
     options = Object.assign({}, options);
-    var pipeName = ipc.generatePipeName();
+    var secret = ipc.generateSecret();
+
+    if (!isWindows) {
+        options.env = Object.assign({}, options.env);
+        options.env[ipc.secretEnvName] = secret.toString("base64");
+        return ipcPosix.startProcess(command, options).then(function (proc) {
+            proc.secret = secret;
+            return proc;
+        });
+    }
+
+    var transport = transports.get(options.transport || "named-pipe");
+
+    // Create the connection, and pass it to a new process.
+    return Promise.all([
+        transport.prepareChild(),
+        options.captureOutput ? ipc.createOutputPipes() : null
+    ]).spread(function (child, outputPipes) {
+        options.env = Object.assign({}, options.env, child.env);
+        options.env[ipc.secretEnvName] = secret.toString("base64");
+        options.inheritHandles = child.inheritHandles;
+        if (outputPipes) {
+            options.stdHandles = {
+                stdout: outputPipes.stdout.clientHandle,
+                stderr: outputPipes.stderr.clientHandle
+            };
+        }
+
+        var processInfo;
+        try {
+            processInfo = ipc.execute(command, options);
+        } catch (e) {
+            child.close();
+            throw e;
+        } finally {
+            if (outputPipes) {
+                // The child has its own copy of the handles; the streams end when it closes them.
+                winapi.kernel32.CloseHandle(outputPipes.stdout.clientHandle);
+                winapi.kernel32.CloseHandle(outputPipes.stderr.clientHandle);
+            }
+        }
 
-    // Create the pipe, and pass it to a new process.
-    return ipc.createPipe(pipeName).then(function (pipePair) {
-        options.inheritHandles = [pipePair.clientHandle];
-        var processInfo = ipc.execute(command, options);
+        return child.connected(processInfo.pid).then(function (pipe) {
+            return {
+                pipe: pipe,
+                pid: processInfo.pid,
+                processHandle: processInfo.handle,
+                secret: secret,
+                output: outputPipes && {
+                    stdout: outputPipes.stdout.serverConnection,
+                    stderr: outputPipes.stderr.serverConnection
+                }
+            };
+        });
+    });
+};
 
+/**
+ * Creates the pipes for the stdout and stderr of a child process.
+ *
+ * @return {Promise} Resolves with `stdout` and `stderr`, each with both ends of a pipe (see createPipe).
+ */
+ipc.createOutputPipes = function () {
+    return Promise.all([
+        ipc.createPipe(ipc.generatePipeName()),
+        ipc.createPipe(ipc.generatePipeName())
+    ]).spread(function (stdout, stderr) {
         return {
-            pipe: pipePair.serverConnection,
-            pid: processInfo.pid,
-            processHandle: processInfo.handle
+            stdout: stdout,
+            stderr: stderr
         };
     });
 };
 
+/**
+ * Waits for a process started by startProcess to terminate.
+ *
+ * @param processHandle {Number|ChildProcess} The process handle returned by startProcess.
+ * @return {Promise} Resolves when the process has terminated, with its `exitCode`, and the `signal` that terminated it
+ *  (POSIX only). Either can be null.
+ */
+ipc.waitForTermination = function (processHandle) {
+    if (isWindows) {
+        return windows.waitForProcessTermination(processHandle);
+    } else {
+        return new Promise(function (resolve) {
+            var exited = function () {
+                resolve({
+                    exitCode: processHandle.exitCode,
+                    signal: processHandle.signalCode
+                });
+            };
+            if (processHandle.exitCode !== null || processHandle.signalCode !== null) {
+                exited();
+            } else {
+                processHandle.once("exit", exited);
+            }
+        });
+    }
+};
+
+// The environment variable that holds the address where the child process can ask for a new connection, if the
+// inherited pipe breaks.
+ipc.rendezvousEnvName = "GPII_SERVICE_RENDEZVOUS";
+
+// The environment variable that holds the secret, for the child process.
+ipc.secretEnvName = "GPII_SERVICE_SECRET";
+
+/**
+ * Generates a secret, to share with a child process.
+ *
+ * @return {Buffer} The secret.
+ */
+ipc.generateSecret = function () {
+    return crypto.randomBytes(32);
+};
+
 /**
  * Generates a named-pipe name.
  *
@@ -159,6 +277,8 @@ ipc.connectToPipe = function (pipeName) {
  * @param options.env {object} Additional environment key-value pairs.
  * @param options.currentDir {string} Current directory for the new process.
  * @param options.inheritHandles {Number[]} An array of win32 file handles for the child to inherit.
+ * @param options.stdHandles {Object} [optional] The win32 handles to use as the child's `stdout` and `stderr`,
+ *  instead of this process's.
  *
  * @return {Object} The pid and handle of the new process.
  */
@@ -212,20 +332,24 @@ ipc.execute = function (command, options) {
         startupInfo.cb = winapi.STARTUPINFOEX.size;
         startupInfo.lpDesktop = winapi.stringToWideChar("winsta0\\default");
 
-        if (options.inheritHandles) {
+        var inheritHandles = !!(options.inheritHandles || options.stdHandles);
+        if (inheritHandles) {
             var STARTF_USESTDHANDLES = 0x00000100;
             startupInfo.dwFlags = STARTF_USESTDHANDLES;
 
             // Get the standard handles.
+            var stdHandles = options.stdHandles || {};
             startupInfo.hStdInput = winapi.kernel32.GetStdHandle(winapi.constants.STD_INPUT_HANDLE);
-            startupInfo.hStdOutput = winapi.kernel32.GetStdHandle(winapi.constants.STD_OUTPUT_HANDLE);
-            startupInfo.hStdError = winapi.kernel32.GetStdHandle(winapi.constants.STD_ERROR_HANDLE);
+            startupInfo.hStdOutput = stdHandles.stdout
+                || winapi.kernel32.GetStdHandle(winapi.constants.STD_OUTPUT_HANDLE);
+            startupInfo.hStdError = stdHandles.stderr
+                || winapi.kernel32.GetStdHandle(winapi.constants.STD_ERROR_HANDLE);
 
             // Add the handles to the lpReserved2 structure. This is how the CRT passes handles to a child. When the
             // child starts it is able to use the file as a normal file descriptor.
             // Node uses this same technique: https://github.com/nodejs/node/blob/master/deps/uv/src/win/process.c#L1048
             var allHandles = [startupInfo.hStdInput, startupInfo.hStdOutput, startupInfo.hStdError];
-            allHandles.push.apply(allHandles, options.inheritHandles);
+            allHandles.push.apply(allHandles, options.inheritHandles || []);
 
             var handles = winapi.createHandleInheritStruct(allHandles.length);
             handles.ref().fill(0);
@@ -246,7 +370,7 @@ ipc.execute = function (command, options) {
         processInfoBuf.ref().fill(0);
 
         var ret = winapi.advapi32.CreateProcessAsUserW(userToken, ref.NULL, commandBuf, ref.NULL, ref.NULL,
-            !!options.inheritHandles, creationFlags, envBuf, currentDirectory, startupInfo.ref(), processInfoBuf.ref());
+            inheritHandles, creationFlags, envBuf, currentDirectory, startupInfo.ref(), processInfoBuf.ref());
 
         if (!ret) {
             throw winapi.error("CreateProcessAsUser");
@@ -19,46 +19,60 @@
 
 var path = require("path"),
     fs = require("fs"),
+    os = require("os"),
     service = require("./service.js"),
     ipc = require("./gpii-ipc"),
-    windows = require("./windows.js");
+    supervisor = require("./supervisor.js"),
+    transports = require("./transports.js"),
+    processIdentity = require("./process-identity.js");
 
-var gpiiProcess = service.module("gpiiProcess");
-
-// GPII pid.
-gpiiProcess.pid = null;
+var windows = process.platform === "win32" ? require("./windows.js") : null;
 
-// Currently starting GPII
-gpiiProcess.startingGPII = false;
+var gpiiProcess = service.module("gpiiProcess");
 
 // Command to start GPII.
 gpiiProcess.gpiiCommand = service.args.gpii || "c:\\program files (x86)\\GPII\\windows\\gpii-app.exe";
 
-// When GPII was started (process.hrtime).
-gpiiProcess.lastStart = null;
-
-/**
- * Called when the service has started.
- */
-gpiiProcess.serviceStarted = function () {
-    if (!service.isService || windows.isUserLoggedOn()) {
-        gpiiProcess.startGPII();
+// The transport where GPII can ask for a new connection, if the inherited pipe breaks. It must be one that finds the
+// pid of the connecting process, which is how GPII is recognised.
+gpiiProcess.rendezvousTransport = "tcp";
+// Resolves with the server, while listening.
+gpiiProcess.rendezvousServer = null;
+// The address it's listening on, given to GPII in its environment.
+gpiiProcess.rendezvousAddress = null;
+// How long a connection to the rendezvous pipe has to send the reconnect request.
+gpiiProcess.reconnectTimeout = 10000;
+
+// GPII, as an application managed by the supervisor.
+gpiiProcess.app = supervisor.addApp("gpii", {
+    command: gpiiProcess.gpiiCommand
+        || "\"" + process.argv[0] + "\" " + path.resolve(__dirname, "../../gpii-app/main.js"),
+    // "named-pipe" (default), "unix-socket", or "tcp".
+    transport: service.args.transport,
+    restart: {
+        // GPII exits with 0 when the user quits it, and with 75 (EX_TEMPFAIL) to be restarted.
+        exitCodes: {
+            "0": "stop",
+            "75": "restart-now"
+        }
+    },
+    shutdown: {
+        // How long GPII has to save its state and restore the system settings, before it's terminated.
+        gracePeriod: service.args.shutdownGracePeriod === undefined
+            ? 20000 : parseInt(service.args.shutdownGracePeriod)
+    },
+    session: {
+        type: "gpii",
+        heartbeat: {
+            interval: service.args.heartbeatInterval === undefined ? 30000 : parseInt(service.args.heartbeatInterval)
+        },
+        // Restart GPII if it becomes unresponsive.
+        restartUnresponsive: service.args.restartUnresponsive !== false
+            && service.args.restartUnresponsive !== "false",
+        // Record the messaging sessions with GPII, to the "recordings" directory of the data directory (--record).
+        record: !!service.args.record
     }
-};
-
-/**
- * The active console session has changed.
- */
-gpiiProcess.sessionChange = function (eventType) {
-    service.logDebug("session change", eventType);
-
-    switch (eventType) {
-    case "session-logon":
-        // User just logged on.
-        gpiiProcess.startGPII();
-        break;
-    }
-};
+});
 
 /**
  * Determines if a process identified by the given pid is running.
@@ -67,28 +81,52 @@ gpiiProcess.sessionChange = function (eventType) {
  * @return {boolean} True if the pid is a running process.
  */
 gpiiProcess.isProcessRunning = function (pid) {
-    var running = false;
-    if (pid) {
-        try {
-            // Check if it's still running.
-            process.kill(pid, 0);
-            // No error means the process is running.
-            running = true;
-            // TODO: Ensure the process really is GPII, and not just a re-use of the pid.
-        } catch (e) {
-            // Nothing.
-        }
+    return processIdentity.isRunning(pid);
+};
+
+/**
+ * Determines if a process is GPII. If it's the process started by this service, its identity must match the one
+ * recorded when it was started (so a re-used pid isn't mistaken for GPII). Otherwise, its executable must be the one in
+ * the GPII command.
+ *
+ * @param pid {Number} The pid.
+ * @return {Boolean} true if the process is GPII.
+ */
+gpiiProcess.isGPII = function (pid) {
+    var identity = processIdentity.get(pid);
+    var isGPII;
+
+    if (!identity) {
+        isGPII = false;
+    } else if (gpiiProcess.app.identity && gpiiProcess.app.identity.pid === pid) {
+        isGPII = processIdentity.equals(gpiiProcess.app.identity, identity);
+    } else if (identity.path) {
+        var command = gpiiProcess.app.config.command;
+        isGPII = process.platform === "win32"
+            ? command.toLowerCase().indexOf(identity.path.toLowerCase()) >= 0
+            : command.indexOf(identity.path) >= 0;
+    } else {
+        // The executable can't be checked.
+        isGPII = true;
     }
 
-    return running;
+    if (!isGPII && identity) {
+        service.logDebug("Process " + pid + " is not GPII:", identity.path);
+    }
+
+    return isGPII;
 };
 
 /**
- * Reads GPII's pid file
+ * Gets the path of GPII's pid file, in the desktop user's data directory on Windows, otherwise in ~/.gpii.
  *
- * @return {Number} The pid in the file, or null if the file doesn't exist.
+ * @return {String} The path of the pid file.
  */
-gpiiProcess.readPidFile = function () {
+gpiiProcess.getPidFile = function () {
+    if (!windows) {
+        return path.join(os.homedir(), ".gpii", "gpii.pid");
+    }
+
     var token = windows.getDesktopUser();
     var pidFile;
 
@@ -105,6 +143,16 @@ gpiiProcess.readPidFile = function () {
         }
     }
 
+    return pidFile;
+};
+
+/**
+ * Reads GPII's pid file
+ *
+ * @return {Number} The pid in the file, or null if the file doesn't exist.
+ */
+gpiiProcess.readPidFile = function () {
+    var pidFile = gpiiProcess.getPidFile();
     var pid;
 
     try {
@@ -126,105 +174,218 @@ gpiiProcess.readPidFile = function () {
  */
 gpiiProcess.checkGPII = function () {
     var pid = gpiiProcess.readPidFile();
-    return (pid && gpiiProcess.isProcessRunning(pid)) ? pid : null;
+    return (pid && gpiiProcess.isGPII(pid)) ? pid : null;
+};
+
+gpiiProcess.app.isRunningElsewhere = function () {
+    return !!gpiiProcess.checkGPII();
+};
+
+// If the pid file wasn't removed, then GPII died unintentionally (unless it was being stopped).
+gpiiProcess.app.isCrash = function () {
+    var pid = gpiiProcess.readPidFile();
+    return !gpiiProcess.app.stopRequested && !!pid && pid === gpiiProcess.app.pid;
+};
+
+// Add the pid file to crash reports.
+gpiiProcess.app.getCrashInfo = function () {
+    var pidFile = {
+        path: null,
+        contents: null
+    };
+    try {
+        pidFile.path = gpiiProcess.getPidFile();
+        pidFile.contents = fs.readFileSync(pidFile.path, "utf8");
+    } catch (e) {
+        pidFile.error = e.message;
+    }
+    return {
+        pidFile: pidFile
+    };
 };
 
 /**
  * Starts the GPII process in the context of the logged-in user.
+ *
+ * @return {Promise} Resolves with true when it has started.
  */
 gpiiProcess.startGPII = function () {
+    return gpiiProcess.app.start();
+};
 
-    var running = gpiiProcess.startingGPII || gpiiProcess.checkGPII();
-
-    if (running) {
-        service.logWarn("GPII is already running.");
-    } else {
-        gpiiProcess.startingGPII = true;
-        gpiiProcess.lastStart = process.hrtime();
-
-        var command = gpiiProcess.gpiiCommand;
-        if (!command) {
-            command = "\"" + process.argv[0] + "\" " + path.resolve(__dirname, "../../gpii-app/main.js");
-        }
-
-        var options = {
-            // If this process isn't a windows service, then run as the current user.
-            alwaysRun: !service.isService,
-            env: {}
-        };
-
-        service.log("Starting GPII: " + command);
-
-        ipc.startProcess(command, options).then(function (proc) {
-            gpiiProcess.pid = proc.pid;
-            gpiiProcess.pipe = proc.pipe;
+/**
+ * Stops the GPII process, giving it the chance to shut down gracefully.
+ *
+ * @param reason {String} [optional] Why it's being stopped.
+ * @return {Promise} Resolves when GPII has stopped.
+ */
+gpiiProcess.stopGPII = function (reason) {
+    return gpiiProcess.app.stop(reason);
+};
 
-            windows.waitForProcessTermination(proc.processHandle).then(gpiiProcess.gpiiStopped);
+/**
+ * Gets the status of the GPII process.
+ *
+ * @return {Object} The status.
+ */
+gpiiProcess.getStatus = function () {
+    var status = gpiiProcess.app.getStatus();
+    return {
+        pid: status.pid,
+        starting: status.starting,
+        restartCount: status.restartCount
+    };
+};
 
-            // Start the comms with GPII
-            // TODO: GPII doesn't have this implemented yet
-            // gpiiProcess.messagingSession = messaging.createSession(proc.pipe, "gpii");
-            // gpiiProcess.messagingSession.on("close", gpiiProcess.stopGPII);
+/**
+ * Starts listening for rendezvous connections, so GPII can get a new connection if the inherited pipe breaks.
+ *
+ * @return {Promise} Resolves with the server, when it's listening.
+ */
+gpiiProcess.startRendezvous = function () {
+    if (!gpiiProcess.rendezvousServer) {
+        var transport = transports.get(gpiiProcess.rendezvousTransport);
+        gpiiProcess.rendezvousServer = transport.listen(transport.generateAddress()).then(function (server) {
+            server.on("connection", gpiiProcess.gotRendezvous);
+            server.on("error", function (err) {
+                service.logError("Rendezvous error:", err.message);
+            });
+            gpiiProcess.rendezvousAddress = transport.serverAddress(server);
+            return server;
+        });
+    }
+    return gpiiProcess.rendezvousServer;
+};
 
-            gpiiProcess.event("started-gpii", gpiiProcess.pid);
-            gpiiProcess.startingGPII = false;
+/**
+ * Stops listening for rendezvous connections.
+ */
+gpiiProcess.stopRendezvous = function () {
+    if (gpiiProcess.rendezvousServer) {
+        gpiiProcess.rendezvousServer.then(function (server) {
+            server.close();
         }, function (err) {
-            service.logError(err);
+            service.logError("Unable to listen for rendezvous connections:", err.message);
         });
+        gpiiProcess.rendezvousServer = null;
+        gpiiProcess.rendezvousAddress = null;
     }
 };
 
 /**
- * Stops the GPII process.
+ * Called when something has connected to the rendezvous address. A session is started, but the only request accepted
+ * is "reconnect", which must be made within reconnectTimeout.
+ *
+ * The pid of the connecting process is looked up straight away, and is given to the reconnect handler as the
+ * session's `peerPid`.
+ *
+ * @param pipe {Socket} The connection.
+ * @return {Session} The messaging session.
+ */
+gpiiProcess.gotRendezvous = function (pipe) {
+    service.log("Got a rendezvous connection");
+    var session = gpiiProcess.app.createSession(pipe);
+
+    var peerPid = transports.get(gpiiProcess.rendezvousTransport).getPeerPid(pipe).then(null, function (err) {
+        service.logWarn("Unable to find the process making the rendezvous connection:", err.message);
+        return null;
+    });
+
+    var timer = setTimeout(function () {
+        service.logWarn("Closing the rendezvous connection: no reconnect request");
+        session.close();
+    }, gpiiProcess.reconnectTimeout);
+    session.on("close", function () {
+        clearTimeout(timer);
+    });
+
+    session.requestHandler = function (requestType, data, request) {
+        if (requestType !== "reconnect") {
+            var err = new Error("Request '" + requestType + "' can't be made until after a reconnect request");
+            err.data = {
+                code: "not-connected"
+            };
+            throw err;
+        }
+        clearTimeout(timer);
+        return peerPid.then(function (pid) {
+            session.peerPid = pid;
+            return service.handleRequest(requestType, data, request, session);
+        });
+    };
+
+    return session;
+};
+
+/**
+ * Handles the reconnect request, sent by GPII over a rendezvous connection. The session is attached if the caller is
+ * the GPII process started by this service.
+ *
+ * The request is only accepted if it's authenticated with the secret shared with GPII (see Session).
+ *
+ * @param data {Object} The request data.
+ * @param request {Object} The request.
+ * @param session {Session} The session the request was made on.
+ * @return {Object} The response data.
  */
-gpiiProcess.stopGPII = function () {
-    if (gpiiProcess.pid) {
-        service.log("Stopping GPII");
-        process.kill(gpiiProcess.pid);
-        gpiiProcess.pid = null;
+gpiiProcess.reconnect = function (data, request, session) {
+    var app = gpiiProcess.app;
+    if (session !== app.session) {
+        gpiiProcess.verifyReconnect(session.peerPid, data.pid);
+        service.log("GPII has reconnected");
+        app.attachSession(session);
+        gpiiProcess.event("reconnected", app.pid);
     }
+    return {
+        pid: app.pid
+    };
 };
 
 /**
- * Called when the GPII process has been stopped.
- * If it wasn't intentional, then restart it unless it's failed to start a number of consecutive times. A running time
- * of under 20 seconds is deemed as a failure to start.
+ * Checks that the process asking to reconnect is the GPII process started by this service, or a descendant of it (GPII
+ * can relaunch itself). The process is the one at the other end of the connection; the pid in the request is only a
+ * cross-check.
+ *
+ * @param peerPid {Number} The pid of the process at the other end of the connection, or null if it's unknown.
+ * @param claimedPid {Number} The pid in the request.
+ * @throws {Error} If it's not the GPII process.
  */
-gpiiProcess.gpiiStopped = function () {
-    service.log("GPII stopped");
+gpiiProcess.verifyReconnect = function (peerPid, claimedPid) {
+    var app = gpiiProcess.app;
+    var valid = !!peerPid && !!app.pid && claimedPid === peerPid
+        && (peerPid === app.pid || processIdentity.isParentPid(peerPid, app.pid))
+        && (!app.identity || processIdentity.isSameProcessRunning(app.identity));
+    if (!valid) {
+        service.logWarn("Rejected a reconnect request from pid " + peerPid + " (claiming to be " + claimedPid + ")");
+        var err = new Error("Process " + peerPid + " is not the GPII process");
+        err.data = {
+            code: "not-gpii"
+        };
+        throw err;
+    }
+};
 
-    // If the pid file wasn't removed, then it died unintentionally.
-    var pid = gpiiProcess.readPidFile();
-    var crashed = (pid && pid === gpiiProcess.pid);
-
-    gpiiProcess.pid = null;
-
-    if (crashed) {
-        var restart = true;
-        // Check if it's failing to start - if it's been running for less than 20 seconds.
-        var timespan = process.hrtime(gpiiProcess.lastStart);
-        var seconds = timespan[0];
-        if (seconds > 20) {
-            gpiiProcess.restartCount = 0;
-        } else {
-            service.logWarn("GPII failed at start.");
-            gpiiProcess.restartCount = (gpiiProcess.restartCount || 0) + 1;
-            if (gpiiProcess.restartCount > 2) {
-                // Crashed at the start too many times.
-                service.logError("Unable to start GPII.");
-                restart = false;
-            }
-        }
+gpiiProcess.handle("getStatus", gpiiProcess.getStatus);
+gpiiProcess.handle("reconnect", gpiiProcess.reconnect);
 
-        if (restart) {
-            // Throttle the re-start rate, increasing 10 seconds each time.
-            setTimeout(gpiiProcess.startGPII, gpiiProcess.restartCount * 10000 + 1000);
-        }
-    }
+// Listen for rendezvous connections before GPII starts, so it can be given the address.
+gpiiProcess.app.prepareStart = function (options) {
+    return gpiiProcess.startRendezvous().then(function () {
+        options.env[ipc.rendezvousEnvName] = gpiiProcess.rendezvousAddress;
+    });
 };
 
-// Listen for service start and session change.
-service.on("start", gpiiProcess.serviceStarted);
-service.on("svc-sessionchange", gpiiProcess.sessionChange);
+gpiiProcess.app.on("started", function (pid) {
+    gpiiProcess.event("started-gpii", pid);
+});
+gpiiProcess.app.on("stopped", function () {
+    gpiiProcess.stopRendezvous();
+});
+gpiiProcess.app.on("start-failed", function () {
+    gpiiProcess.stopRendezvous();
+});
+gpiiProcess.app.on("unresponsive", function (pid) {
+    gpiiProcess.event("unresponsive", pid);
+});
 
 module.exports = gpiiProcess;
@@ -21,6 +21,8 @@
 
 var service = require("./service.js");
 require("./gpii-process.js");
+require("./supervisor.js");
+require("./notifications.js");
 require("./windows.js");
 
 service.start();
@@ -0,0 +1,126 @@
+/* Encodings of the messages sent over a session.
+ *
+ * Copyright 2017 Raising the Floor - International
+ *
+ * Licensed under the New BSD license. You may not use this file except in
+ * compliance with this License.
+ *
+ * The R&D leading to these results received funding from the
+ * Department of Education - Grant H421A150005 (GPII-APCP). However,
+ * these results do not necessarily represent the policy of the
+ * Department of Education, and you should not assume endorsement by the
+ * Federal Government.
+ *
+ * You may obtain a copy of the License at
+ * https://github.com/GPII/universal/blob/master/LICENSE.txt
+ */
+
+"use strict";
+
+/*
+The encoding is chosen during the handshake (which is always JSON). The encoding of a received message can be identified
+by its first byte: JSON text starts with an ASCII character, and a MessagePack map or array starts with 0x80 or above.
+This allows messages sent before the handshake completes to be read.
+*/
+
+var msgpack = require("msgpack-lite");
+
+var encoding = exports;
+
+/**
+ * Replaces Buffers in an object with base64 strings, for JSON.
+ *
+ * @param key {String} The key.
+ * @param value {Any} The value (after toJSON has been called on it).
+ * @return {Any} The value to use.
+ */
+function jsonReplacer(key, value) {
+    return (value && value.type === "Buffer" && Array.isArray(value.data))
+        ? { $buffer: Buffer.from(value.data).toString("base64") }
+        : value;
+}
+
+/**
+ * Restores the Buffers replaced by jsonReplacer.
+ *
+ * @param key {String} The key.
+ * @param value {Any} The value.
+ * @return {Any} The value to use.
+ */
+function jsonReviver(key, value) {
+    return (value && typeof(value.$buffer) === "string" && Object.keys(value).length === 1)
+        ? Buffer.from(value.$buffer, "base64")
+        : value;
+}
+
+// The encodings, in order of preference.
+encoding.encodings = {
+    msgpack: {
+        encode: function (message) {
+            return msgpack.encode(message);
+        },
+        decode: function (payload) {
+            return msgpack.decode(payload);
+        },
+        isEncoded: function (payload) {
+            return payload[0] >= 0x80;
+        }
+    },
+    json: {
+        encode: function (message) {
+            return Buffer.from(JSON.stringify(message, jsonReplacer));
+        },
+        decode: function (payload) {
+            return JSON.parse(payload.toString("utf8"), jsonReviver);
+        },
+        isEncoded: function () {
+            return true;
+        }
+    }
+};
+
+// The encoding used by default, and for the handshake.
+encoding.defaultEncoding = "json";
+
+/**
+ * Chooses the encoding to use - the most preferred encoding (according to the order of `encoding.encodings`) that both
+ * ends support. Both ends will reach the same result.
+ *
+ * @param localEncodings {String[]} The encodings this end supports.
+ * @param remoteEncodings {String[]} The encodings the remote end supports.
+ * @return {String} The encoding name.
+ */
+encoding.negotiate = function (localEncodings, remoteEncodings) {
+    var common = Object.keys(encoding.encodings).filter(function (name) {
+        return localEncodings.indexOf(name) >= 0 && Array.isArray(remoteEncodings)
+            && remoteEncodings.indexOf(name) >= 0;
+    });
+    return common.length ? common[0] : encoding.defaultEncoding;
+};
+
+/**
+ * Encodes a message.
+ *
+ * @param message {Object} The message.
+ * @param encodingName {String} The encoding.
+ * @return {Buffer} The encoded message.
+ */
+encoding.encode = function (message, encodingName) {
+    return encoding.encodings[encodingName].encode(message);
+};
+
+/**
+ * Decodes a message. A message encoded as JSON is accepted by any encoding.
+ *
+ * @param payload {Buffer} The encoded message.
+ * @param encodingName {String} The encoding that's been negotiated.
+ * @return {Object} The message.
+ * @throws {Error} If the message could not be decoded.
+ */
+encoding.decode = function (payload, encodingName) {
+    var enc = encoding.encodings[encodingName];
+    if (!enc.isEncoded(payload)) {
+        enc = encoding.encodings[encoding.defaultEncoding];
+    }
+    return enc.decode(payload);
+};
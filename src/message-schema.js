@@ -0,0 +1,394 @@
+/* Validation of protocol messages, and generation of the protocol documentation.
+ *
+ * Copyright 2017 Raising the Floor - International
+ *
+ * Licensed under the New BSD license. You may not use this file except in
+ * compliance with this License.
+ *
+ * The R&D leading to these results received funding from the
+ * Department of Education - Grant H421A150005 (GPII-APCP). However,
+ * these results do not necessarily represent the policy of the
+ * Department of Education, and you should not assume endorsement by the
+ * Federal Government.
+ *
+ * You may obtain a copy of the License at
+ * https://github.com/GPII/universal/blob/master/LICENSE.txt
+ */
+
+"use strict";
+
+/*
+A schema describes a value:
+{
+    type: "object",         // "object", "array", "string", "number", "integer", "boolean", "null", "any", or an
+                            // array of these.
+    description: "...",     // Used in the documentation.
+    required: [ "..." ],    // Object properties that must exist.
+    properties: { ... },    // Schemas of the object properties. Other properties are allowed.
+    items: { ... },         // Schema of the array items.
+    enum: [ ... ],          // The allowed values.
+    example: ...            // Example value, for the documentation.
+}
+
+The request types are defined in request-schemas.js.
+*/
+
+var messageSchema = exports;
+
+/**
+ * Gets the type name of a value, as used by a schema.
+ *
+ * @param value {Any} The value.
+ * @return {String} The type.
+ */
+messageSchema.typeOf = function (value) {
+    var type;
+    if (value === null) {
+        type = "null";
+    } else if (Array.isArray(value)) {
+        type = "array";
+    } else {
+        type = typeof(value);
+    }
+    return type;
+};
+
+/**
+ * Determines if a value matches a type.
+ *
+ * @param value {Any} The value.
+ * @param type {String} The type name.
+ * @return {Boolean} true if the value is of the type.
+ */
+function isType(value, type) {
+    var actual = messageSchema.typeOf(value);
+    return type === "any" || type === actual || (type === "integer" && actual === "number" && value % 1 === 0);
+}
+
+/**
+ * Validates a value against a schema.
+ *
+ * @param value {Any} The value to check.
+ * @param schema {Object} The schema. No schema means anything is valid.
+ * @param path {String} [optional] Name of the value, used in the error messages.
+ * @return {String[]} The problems found - an empty array if the value is valid.
+ */
+messageSchema.validate = function (value, schema, path) {
+    path = path || "value";
+    var errors = [];
+
+    if (!schema) {
+        return errors;
+    }
+
+    var types = Array.isArray(schema.type) ? schema.type : [schema.type || "any"];
+    var matched = types.some(function (type) {
+        return isType(value, type);
+    });
+
+    if (!matched) {
+        errors.push(path + " must be " + types.join(" or ") + " (got " + messageSchema.typeOf(value) + ")");
+    } else if (schema["enum"] && schema["enum"].indexOf(value) < 0) {
+        errors.push(path + " must be one of " + JSON.stringify(schema["enum"]));
+    } else if (Array.isArray(value)) {
+        if (schema.items) {
+            value.forEach(function (item, index) {
+                errors.push.apply(errors, messageSchema.validate(item, schema.items, path + "[" + index + "]"));
+            });
+        }
+    } else if (messageSchema.typeOf(value) === "object") {
+        (schema.required || []).forEach(function (name) {
+            if (value[name] === undefined) {
+                errors.push(path + "." + name + " is required");
+            }
+        });
+
+        var properties = schema.properties || {};
+        Object.keys(properties).forEach(function (name) {
+            if (value[name] !== undefined) {
+                errors.push.apply(errors, messageSchema.validate(value[name], properties[name], path + "." + name));
+            }
+        });
+    }
+
+    return errors;
+};
+
+/**
+ * Validates the data of a request.
+ *
+ * @param requestType {String} The request type.
+ * @param data {Any} The request data.
+ * @param definition {Object} The definition of the request type (see request-schemas.js).
+ * @return {Error} An error describing the problems, or null if the data is valid.
+ */
+messageSchema.validateRequest = function (requestType, data, definition) {
+    // A request without data is treated as null.
+    var value = data === undefined ? null : data;
+    var errors = definition ? messageSchema.validate(value, definition.data, "data") : [];
+    var err = null;
+    if (errors.length) {
+        err = new Error("Invalid '" + requestType + "' request: " + errors.join(", "));
+        err.data = {
+            code: "invalid-request",
+            type: requestType,
+            errors: errors
+        };
+    }
+    return err;
+};
+
+/**
+ * Checks the structure of a message - that it is an object, and the fields for the kind of message are correct.
+ *
+ * @param message {Any} The parsed message.
+ * @return {String[]} The problems found - an empty array if the message is valid.
+ */
+messageSchema.validateMessage = function (message) {
+    var errors = [];
+    if (messageSchema.typeOf(message) !== "object") {
+        errors.push("message must be object (got " + messageSchema.typeOf(message) + ")");
+    } else if (message.request !== undefined) {
+        errors = messageSchema.validate(message, messageSchema.envelopes.request, "message");
+    } else if (message.response !== undefined) {
+        errors = messageSchema.validate(message, messageSchema.envelopes.response, "message");
+    } else if (message.error !== undefined) {
+        errors = messageSchema.validate(message, messageSchema.envelopes.error, "message");
+    } else if (message.cancel !== undefined) {
+        errors = messageSchema.validate(message, messageSchema.envelopes.cancel, "message");
+    } else if (message.streamEnd !== undefined) {
+        errors = messageSchema.validate(message, messageSchema.envelopes.streamEnd, "message");
+    } else if (message.streamAbort !== undefined) {
+        errors = messageSchema.validate(message, messageSchema.envelopes.streamAbort, "message");
+    } else if (message.channelClose !== undefined) {
+        errors = messageSchema.validate(message, messageSchema.envelopes.channelClose, "message");
+    }
+    if (messageSchema.typeOf(message) === "object" && message.channel !== undefined) {
+        errors = errors.concat(messageSchema.validate(message.channel, { type: "string" }, "message.channel"));
+    }
+    return errors;
+};
+
+// Schemas of the messages.
+messageSchema.envelopes = {
+    hello: {
+        type: "object",
+        required: ["hello", "versions"],
+        properties: {
+            hello: { type: "string" },
+            versions: { type: "array", items: { type: "number" } },
+            requestTypes: { type: "array", items: { type: "string" } },
+            features: { type: "array", items: { type: "string" } },
+            encodings: { type: "array", items: { type: "string" } }
+        }
+    },
+    request: {
+        type: "object",
+        required: ["request", "type"],
+        properties: {
+            request: { type: ["string", "number"] },
+            type: { type: "string" },
+            deadline: { type: "number" }
+        }
+    },
+    cancel: {
+        type: "object",
+        properties: {
+            cancel: { type: ["string", "number"] },
+            message: { type: "string" }
+        }
+    },
+    response: {
+        type: "object",
+        required: ["response"],
+        properties: {
+            response: { type: ["string", "number"] },
+            type: { type: "string" }
+        }
+    },
+    error: {
+        type: "object",
+        required: ["error"],
+        properties: {
+            error: { type: ["string", "number"] },
+            message: { type: "string" }
+        }
+    },
+    streamEnd: {
+        type: "object",
+        properties: {
+            streamEnd: { type: "integer" }
+        }
+    },
+    streamAbort: {
+        type: "object",
+        properties: {
+            streamAbort: { type: "integer" },
+            reader: { type: "boolean" },
+            message: { type: "string" }
+        }
+    },
+    channelClose: {
+        type: "object",
+        properties: {
+            channelClose: { type: "string" }
+        }
+    }
+};
+
+/**
+ * Creates an example value from a schema, as javascript source.
+ *
+ * @param schema {Object} The schema.
+ * @param indent {String} The indentation of the current line.
+ * @return {String} The example value.
+ */
+function renderExample(schema, indent) {
+    var togo;
+    var type = Array.isArray(schema.type) ? schema.type[0] : schema.type;
+
+    if (schema.example !== undefined) {
+        togo = JSON.stringify(schema.example, null, 1).replace(/\n\s*/g, " ").replace(/^\[ /, "[ ");
+    } else if (type === "object" && schema.properties) {
+        var innerIndent = indent + "    ";
+        var names = Object.keys(schema.properties);
+        var lines = names.map(function (name, index) {
+            var property = schema.properties[name];
+            var line = innerIndent + name + ": " + renderExample(property, innerIndent);
+            if (index < names.length - 1) {
+                line += ",";
+            }
+            if (property.description) {
+                line += "  // " + property.description;
+            }
+            return line;
+        });
+        togo = "{\n" + lines.join("\n") + "\n" + indent + "}";
+    } else if (type === "array") {
+        togo = "[ " + (schema.items ? renderExample(schema.items, indent) : "...") + ", ... ]";
+    } else if (schema["enum"]) {
+        togo = JSON.stringify(schema["enum"][0]);
+    } else {
+        togo = {
+            string: "\"...\"",
+            number: "0",
+            integer: "0",
+            "boolean": "true",
+            "null": "null"
+        }[type] || "...";
+    }
+    return togo;
+}
+
+/**
+ * Creates an example message.
+ *
+ * @param fields {Object} The fields before the data (values are already javascript source).
+ * @param dataSchema {Object} The schema of the data, if any.
+ * @return {String} The example message.
+ */
+function renderMessage(fields, dataSchema) {
+    var lines = Object.keys(fields).map(function (name) {
+        return "    " + name + ": " + fields[name];
+    });
+    if (dataSchema) {
+        lines.push("    data: " + renderExample(dataSchema, "    "));
+    }
+    return "```javascript\n{\n" + lines.join(",\n") + "\n}\n```\n";
+}
+
+/**
+ * Wraps the paragraphs of some markdown at 120 characters. Code blocks are left alone.
+ *
+ * @param text {String} The text.
+ * @return {String} The wrapped text.
+ */
+function wrapText(text) {
+    return text.split("\n\n").map(function (paragraph) {
+        if (paragraph.startsWith("```")) {
+            return paragraph;
+        }
+        var lines = [];
+        var line = "";
+        paragraph.split(/\s+/).forEach(function (word) {
+            if (line && (line.length + word.length + 1) > 120) {
+                lines.push(line);
+                line = word;
+            } else {
+                line = line ? line + " " + word : word;
+            }
+        });
+        lines.push(line);
+        return lines.join("\n");
+    }).join("\n\n");
+}
+
+/**
+ * Generates the documentation for a request type.
+ *
+ * @param requestType {String} The request type.
+ * @param definition {Object} The definition of the request type.
+ * @return {String} The markdown.
+ */
+messageSchema.generateRequestDoc = function (requestType, definition) {
+    var typeString = JSON.stringify(requestType);
+    var doc = "#### `" + requestType + "`\n\n";
+    if (definition.description) {
+        doc += wrapText(definition.description) + "\n\n";
+    }
+    doc += "Request:\n" + renderMessage({ request: "\"...\"", type: typeString }, definition.data);
+    doc += "\nResponse:\n" + renderMessage({ response: "\"...\"", type: typeString }, definition.response);
+    if (definition.notes) {
+        doc += "\n" + wrapText(definition.notes) + "\n";
+    }
+    return doc;
+};
+
+// The headings of the request type sections, and which end handles the requests.
+messageSchema.docSections = [
+    { heading: "Service and application requests", handledBy: "both" },
+    { heading: "Service requests", handledBy: "service" },
+    { heading: "Application requests", handledBy: "application" }
+];
+
+/**
+ * Generates the "Request types" section of the protocol documentation.
+ *
+ * @param definitions {Object} The request type definitions, keyed by type.
+ * @return {String} The markdown.
+ */
+messageSchema.generateDocs = function (definitions) {
+    var sections = messageSchema.docSections.map(function (section) {
+        var docs = Object.keys(definitions).filter(function (requestType) {
+            return definitions[requestType].handledBy === section.handledBy;
+        }).map(function (requestType) {
+            return messageSchema.generateRequestDoc(requestType, definitions[requestType]);
+        });
+        return "### " + section.heading + "\n\n" + (docs.length ? docs.join("\n") : "None.\n");
+    });
+
+    return "## Request types\n\n" + messageSchema.docMarker + "\n\n" + sections.join("\n");
+};
+
+// Marks the start of the generated documentation.
+messageSchema.docMarker = "<!-- Generated from src/request-schemas.js (node index.js --mode=protocol-docs) -->";
+
+/**
+ * Replaces the "Request types" section of the protocol documentation with the generated documentation.
+ *
+ * @param markdown {String} The current content of protocol.md.
+ * @param definitions {Object} The request type definitions, keyed by type.
+ * @return {String} The new content.
+ */
+messageSchema.updateProtocolDoc = function (markdown, definitions) {
+    var start = markdown.indexOf("## Request types");
+    if (start < 0) {
+        start = markdown.length;
+    }
+    // The section ends at the next heading of the same level.
+    var end = markdown.indexOf("\n## ", start + 1);
+    end = end < 0 ? markdown.length : end + 1;
+
+    return markdown.substr(0, start) + messageSchema.generateDocs(definitions)
+        + (end < markdown.length ? "\n" + markdown.substr(end) : "");
+};
@@ -0,0 +1,208 @@
+/* Forwards service events to GPII, as notifications.
+ *
+ * Copyright 2017 Raising the Floor - International
+ *
+ * Licensed under the New BSD license. You may not use this file except in
+ * compliance with this License.
+ *
+ * The R&D leading to these results received funding from the
+ * Department of Education - Grant H421A150005 (GPII-APCP). However,
+ * these results do not necessarily represent the policy of the
+ * Department of Education, and you should not assume endorsement by the
+ * Federal Government.
+ *
+ * You may obtain a copy of the License at
+ * https://github.com/GPII/universal/blob/master/LICENSE.txt
+ */
+
+"use strict";
+
+var service = require("./service.js");
+
+var notifications = service.module("notifications");
+
+// The sessions that have subscriptions.
+notifications.sessions = [];
+
+/**
+ * Converts an event name pattern into a regular expression. A "*" matches any number of characters, for example
+ * "gpiiProcess.*" matches every gpiiProcess event, and "*" matches every event.
+ *
+ * @param pattern {String} The event name pattern.
+ * @return {RegExp} The regular expression.
+ */
+notifications.patternToRegExp = function (pattern) {
+    var escaped = pattern.split("*").map(function (part) {
+        return part.replace(/[\\^$.|?+()[\]{}]/g, "\\$&");
+    });
+    return new RegExp("^" + escaped.join(".*") + "$");
+};
+
+/**
+ * Gets the patterns from the data of a subscribe or unsubscribe request (which has already been validated).
+ *
+ * @param data {Object} The request data.
+ * @return {String[]} The patterns.
+ */
+function getPatterns(data) {
+    var patterns = data.events;
+    return typeof(patterns) === "string" ? [patterns] : patterns;
+}
+
+/**
+ * Adds subscriptions for a session.
+ *
+ * @param session {Session} The messaging session.
+ * @param patterns {String[]} The event name patterns.
+ * @return {String[]} All of the session's subscriptions.
+ */
+notifications.subscribe = function (session, patterns) {
+    if (!session.subscriptions) {
+        session.subscriptions = {};
+        notifications.sessions.push(session);
+        session.once("close", function () {
+            notifications.removeSession(session);
+        });
+    }
+
+    patterns.forEach(function (pattern) {
+        if (!session.subscriptions[pattern]) {
+            session.subscriptions[pattern] = notifications.patternToRegExp(pattern);
+        }
+    });
+
+    return Object.keys(session.subscriptions);
+};
+
+/**
+ * Removes subscriptions for a session.
+ *
+ * @param session {Session} The messaging session.
+ * @param patterns {String[]} [optional] The event name patterns, or all of them if not specified.
+ * @return {String[]} The session's remaining subscriptions.
+ */
+notifications.unsubscribe = function (session, patterns) {
+    if (session.subscriptions) {
+        if (patterns) {
+            patterns.forEach(function (pattern) {
+                delete session.subscriptions[pattern];
+            });
+        } else {
+            session.subscriptions = {};
+        }
+    }
+    return Object.keys(session.subscriptions || {});
+};
+
+/**
+ * Removes all subscriptions for a session. The patterns are kept in `session.previousSubscriptions`, so they can be
+ * transferred to a replacement session.
+ *
+ * @param session {Session} The messaging session.
+ */
+notifications.removeSession = function (session) {
+    var index = notifications.sessions.indexOf(session);
+    if (index >= 0) {
+        notifications.sessions.splice(index, 1);
+    }
+    if (session.subscriptions) {
+        session.previousSubscriptions = Object.keys(session.subscriptions);
+    }
+    session.subscriptions = null;
+};
+
+/**
+ * Gives a session the subscriptions of another (which may have closed), for when a connection is replaced.
+ *
+ * @param fromSession {Session} The session being replaced.
+ * @param toSession {Session} The new session.
+ * @return {String[]} All of the new session's subscriptions.
+ */
+notifications.transferSubscriptions = function (fromSession, toSession) {
+    var patterns = fromSession.subscriptions
+        ? Object.keys(fromSession.subscriptions)
+        : fromSession.previousSubscriptions;
+    return (patterns && patterns.length)
+        ? notifications.subscribe(toSession, patterns)
+        : Object.keys(toSession.subscriptions || {});
+};
+
+// How deeply nested an event argument can be, and still be sent.
+notifications.maxDepth = 10;
+
+/**
+ * Determines if an event argument can be sent in a notification: a primitive, or an array or plain object containing
+ * only those. Anything else (such as a Session, or something circular) can't be serialised.
+ *
+ * @param value {Any} The event argument.
+ * @param depth {Number} [optional] How deeply nested the value is.
+ * @return {Boolean} true if it can be sent.
+ */
+notifications.isPlainData = function (value, depth) {
+    depth = depth || 0;
+    var plain;
+    if (value === null || typeof(value) !== "object") {
+        plain = typeof(value) !== "function" && typeof(value) !== "symbol";
+    } else if (depth >= notifications.maxDepth) {
+        plain = false;
+    } else if (Array.isArray(value)) {
+        plain = value.every(function (item) {
+            return notifications.isPlainData(item, depth + 1);
+        });
+    } else {
+        var proto = Object.getPrototypeOf(value);
+        plain = (proto === Object.prototype || proto === null) && Object.keys(value).every(function (key) {
+            return notifications.isPlainData(value[key], depth + 1);
+        });
+    }
+    return plain;
+};
+
+/**
+ * Called for every service event. Sends a notification to each session subscribed to the event. Arguments that can't
+ * be sent are replaced with null, and a failure to send is logged rather than thrown at whatever emitted the event.
+ *
+ * @param eventName {String} The event name.
+ * @param arg1 {Object} First event argument.
+ * @param arg2 {Object} Second event argument.
+ */
+notifications.serviceEvent = function (eventName, arg1, arg2) {
+    var args = null;
+    notifications.sessions.forEach(function (session) {
+        var subscribed = Object.keys(session.subscriptions).some(function (pattern) {
+            return session.subscriptions[pattern].test(eventName);
+        });
+
+        if (subscribed) {
+            if (!args) {
+                args = [arg1, arg2].map(function (arg) {
+                    return notifications.isPlainData(arg) ? arg : null;
+                });
+            }
+            try {
+                session.sendNotification(eventName, {
+                    args: args
+                });
+            } catch (e) {
+                service.logError("Unable to send the " + eventName + " notification:", e.message);
+            }
+        }
+    });
+};
+
+notifications.handle("subscribe", function (data, request, session) {
+    return {
+        subscriptions: notifications.subscribe(session, getPatterns(data))
+    };
+});
+
+notifications.handle("unsubscribe", function (data, request, session) {
+    var patterns = (data && data.events !== undefined) ? getPatterns(data) : null;
+    return {
+        subscriptions: notifications.unsubscribe(session, patterns)
+    };
+});
+
+service.on("*", notifications.serviceEvent);
+
+module.exports = notifications;
@@ -0,0 +1,295 @@
+/* Writes the output of a child process to size-rotated log files.
+ *
+ * Copyright 2017 Raising the Floor - International
+ *
+ * Licensed under the New BSD license. You may not use this file except in
+ * compliance with this License.
+ *
+ * The R&D leading to these results received funding from the
+ * Department of Education - Grant H421A150005 (GPII-APCP). However,
+ * these results do not necessarily represent the policy of the
+ * Department of Education, and you should not assume endorsement by the
+ * Federal Government.
+ *
+ * You may obtain a copy of the License at
+ * https://github.com/GPII/universal/blob/master/LICENSE.txt
+ */
+
+"use strict";
+
+/*
+Each line of output is written as:
+    2017-01-01T00:00:00.000Z [1234 5f2a9c01] stderr: the line
+with the pid and launch id of the process.
+
+When the log file (NAME.log) would exceed maxSize, it's renamed to NAME.1.log (NAME.1.log becomes NAME.2.log, and so
+on), and a new file is started. Only maxFiles of the old files are kept.
+
+The files are written, renamed and deleted by the service, so it refuses to touch a directory or file that is a
+symbolic link or junction (which could make it act on some other file).
+*/
+
+var fs = require("fs"),
+    path = require("path"),
+    util = require("util"),
+    EventEmitter = require("events"),
+    Promise = require("bluebird");
+
+var outputLog = exports;
+
+outputLog.defaults = {
+    // The size (bytes) at which the log file is rotated.
+    maxSize: 1024 * 1024,
+    // The number of rotated files to keep.
+    maxFiles: 5,
+    // The number of the most recent lines to keep in memory (for crash reports).
+    recentLines: 50,
+    // The length at which an unfinished line is written anyway.
+    maxLineLength: 64 * 1024
+};
+
+/**
+ * A log file for the output of processes.
+ *
+ * Events:
+ *  "error" (err) The log file couldn't be written.
+ *  "drain" () The log file has caught up, after `write` returned false.
+ *
+ * @param dir {String} The directory of the log files (created if it doesn't exist).
+ * @param name {String} The name of the log, used for the file names.
+ * @param options {Object} [optional] Options (see outputLog.defaults).
+ * @constructor
+ */
+function OutputLog(dir, name, options) {
+    EventEmitter.call(this);
+    this.dir = dir;
+    this.name = name;
+    this.options = Object.assign({}, outputLog.defaults, options);
+    this.file = this.getFile(0);
+    // The most recent lines, as "STREAM: LINE".
+    this.recent = [];
+    // The stream of the current file, opened when first written to.
+    this.stream = null;
+
+    makeDir(dir);
+    checkNotLink(dir);
+    try {
+        checkNotLink(this.file);
+        this.size = fs.statSync(this.file).size;
+    } catch (e) {
+        if (e.code !== "ENOENT") {
+            throw e;
+        }
+        this.size = 0;
+    }
+}
+
+util.inherits(OutputLog, EventEmitter);
+
+outputLog.OutputLog = OutputLog;
+
+/**
+ * Creates a directory, and its parents, if it doesn't exist.
+ *
+ * @param dir {String} The directory.
+ */
+function makeDir(dir) {
+    try {
+        fs.mkdirSync(dir);
+    } catch (e) {
+        if (e.code === "ENOENT") {
+            makeDir(path.dirname(dir));
+            fs.mkdirSync(dir);
+        } else if (e.code !== "EEXIST") {
+            throw e;
+        }
+    }
+}
+
+/**
+ * Checks that a file or directory isn't a symbolic link or junction.
+ *
+ * @param file {String} The path.
+ * @throws {Error} If it's a link, or can't be checked (code "ENOENT" if it doesn't exist).
+ */
+function checkNotLink(file) {
+    if (fs.lstatSync(file).isSymbolicLink()) {
+        throw new Error("Refusing to use a link: " + file);
+    }
+}
+
+/**
+ * Gets the path of a log file.
+ *
+ * @param index {Number} 0 for the current file, otherwise the rotated file number.
+ * @return {String} The path.
+ */
+OutputLog.prototype.getFile = function (index) {
+    return path.join(this.dir, this.name + (index ? "." + index : "") + ".log");
+};
+
+/**
+ * Renames the current file to NAME.1.log, shifting the older files along, and removing the oldest.
+ */
+OutputLog.prototype.rotate = function () {
+    // What's still being written goes to the renamed file.
+    this.close();
+
+    var maxFiles = this.options.maxFiles;
+    for (var index = maxFiles; index >= 0; index--) {
+        var file = this.getFile(index);
+        try {
+            checkNotLink(file);
+            if (index >= maxFiles) {
+                fs.unlinkSync(file);
+            } else {
+                fs.renameSync(file, this.getFile(index + 1));
+            }
+        } catch (e) {
+            if (e.code !== "ENOENT") {
+                throw e;
+            }
+        }
+    }
+    this.size = 0;
+};
+
+/**
+ * Gets the stream of the current file, opening it if required.
+ *
+ * @return {WriteStream} The stream.
+ */
+OutputLog.prototype.getStream = function () {
+    var log = this;
+    if (!this.stream) {
+        try {
+            checkNotLink(this.file);
+        } catch (e) {
+            if (e.code !== "ENOENT") {
+                throw e;
+            }
+        }
+        // Opened now, so the file is there to be renamed if it's rotated before the stream gets going.
+        this.stream = fs.createWriteStream(null, { fd: fs.openSync(this.file, "a") });
+        this.stream.on("error", function (err) {
+            log.emit("error", err);
+        });
+        this.stream.on("drain", function () {
+            log.emit("drain");
+        });
+    }
+    return this.stream;
+};
+
+/**
+ * Closes the current file. It's opened again if more is written.
+ *
+ * @return {Promise} Resolves when everything written to it has been flushed, or it failed (emitting "error").
+ */
+OutputLog.prototype.close = function () {
+    var stream = this.stream;
+    this.stream = null;
+    return stream
+        ? new Promise(function (resolve) {
+            // Listening before ending, so an error from flushing the file isn't missed. The error itself is emitted
+            // as the log's "error" event (see getStream).
+            stream.on("error", function () {
+                resolve();
+            });
+            stream.end(function () {
+                resolve();
+            });
+        })
+        : Promise.resolve();
+};
+
+/**
+ * Writes lines to the log.
+ *
+ * @param tag {String} Identifies the process, for example "1234 5f2a9c01".
+ * @param streamName {String} "stdout" or "stderr".
+ * @param lines {String[]} The lines.
+ * @return {Boolean} false if the file isn't keeping up: wait for the "drain" event before writing more.
+ */
+OutputLog.prototype.write = function (tag, streamName, lines) {
+    var time = new Date().toISOString();
+    var text = lines.map(function (line) {
+        return time + " [" + tag + "] " + streamName + ": " + line + "\n";
+    }).join("");
+
+    var length = Buffer.byteLength(text);
+    if (this.size > 0 && this.size + length > this.options.maxSize) {
+        this.rotate();
+    }
+    var more = this.getStream().write(text);
+    this.size += length;
+
+    this.recent.push.apply(this.recent, lines.map(function (line) {
+        return streamName + ": " + line;
+    }));
+    if (this.recent.length > this.options.recentLines) {
+        this.recent.splice(0, this.recent.length - this.options.recentLines);
+    }
+
+    return more;
+};
+
+/**
+ * Writes the output of a process, line by line, until the stream ends. The stream is paused while the file is
+ * catching up.
+ *
+ * @param stream {Readable} The stdout or stderr of the process.
+ * @param streamName {String} "stdout" or "stderr".
+ * @param tag {String} Identifies the process.
+ * @param onError {Function} [optional] Called with any error while writing.
+ */
+OutputLog.prototype.capture = function (stream, streamName, tag, onError) {
+    var log = this;
+    var partial = "";
+    var resume = function () {
+        log.removeListener("drain", resume);
+        log.removeListener("error", resume);
+        stream.resume();
+    };
+    var write = function (lines) {
+        try {
+            if (!log.write(tag, streamName, lines)) {
+                stream.pause();
+                log.on("drain", resume);
+                // A file that can't be written won't drain; the output is still read, so the process isn't blocked.
+                log.on("error", resume);
+            }
+        } catch (e) {
+            if (onError) {
+                onError(e);
+            }
+        }
+    };
+
+    var maxLineLength = this.options.maxLineLength;
+
+    stream.setEncoding("utf8");
+    stream.on("data", function (data) {
+        var lines = (partial + data).split(/\r?\n/);
+        partial = lines.pop();
+        // Don't hold on to endless output without a line break.
+        while (partial.length >= maxLineLength) {
+            lines.push(partial.substr(0, maxLineLength));
+            partial = partial.substr(maxLineLength);
+        }
+        if (lines.length) {
+            write(lines);
+        }
+    });
+    stream.on("end", function () {
+        if (partial) {
+            write([partial]);
+            partial = "";
+        }
+    });
+    stream.on("error", function (err) {
+        if (onError) {
+            onError(err);
+        }
+    });
+};
@@ -18,7 +18,12 @@
 "use strict";
 
 var util = require("util"),
-    EventEmitter = require("events");
+    crypto = require("crypto"),
+    stream = require("stream"),
+    EventEmitter = require("events"),
+    Promise = require("bluebird"),
+    messageSchema = require("./message-schema.js"),
+    messageEncoding = require("./message-encoding.js");
 
 var messaging = {};
 
@@ -28,116 +33,1757 @@ var messaging = {};
  * @param pipe {Socket} The pipe.
  * @param sessionType {String} [Optional] Initial text that is sent and checked by both ends to ensure both sides are
  * compatible.
+ * @param options {Object} [Optional] Session options (see Session).
  * @return {Session}
  */
-messaging.createSession = function (pipe, sessionType) {
-    return new Session(pipe, sessionType);
+messaging.createSession = function (pipe, sessionType, options) {
+    return new Session(pipe, sessionType, options);
 };
 
 /**
+ * Default framing options. Each message is sent as a frame: <length> <payload>.
+ */
+messaging.frameDefaults = {
+    // Number of bytes used for the payload length (1 to 6).
+    lengthBytes: 4,
+    // Byte order of the payload length: "LE" or "BE".
+    endian: "LE",
+    // Largest payload accepted, in bytes. The session is closed if the remote end announces a larger one.
+    maxSize: 16 * 1024 * 1024
+};
+
+/**
+ * Checks the framing options, applying the defaults.
+ *
+ * @param options {Object} [optional] Framing options (see messaging.frameDefaults).
+ * @return {Object} The framing options.
+ */
+messaging.getFrameOptions = function (options) {
+    var frame = Object.assign({}, messaging.frameDefaults, options);
+    if (!(frame.lengthBytes >= 1 && frame.lengthBytes <= 6 && frame.lengthBytes % 1 === 0)) {
+        throw new Error("Frame lengthBytes must be 1 to 6 (got " + frame.lengthBytes + ")");
+    }
+    if (frame.endian !== "LE" && frame.endian !== "BE") {
+        throw new Error("Frame endian must be LE or BE (got " + frame.endian + ")");
+    }
+    // The size can't be larger than what the length field can hold.
+    frame.maxSize = Math.min(frame.maxSize, Math.pow(2, frame.lengthBytes * 8) - 1);
+    return frame;
+};
+
+/**
+ * Creates a frame for a payload.
+ *
+ * @param payload {Buffer} The payload.
+ * @param frameOptions {Object} The framing options (from messaging.getFrameOptions).
+ * @return {Buffer} The frame.
+ */
+messaging.createFrame = function (payload, frameOptions) {
+    if (payload.length > frameOptions.maxSize) {
+        throw new Error("Message size " + payload.length + " exceeds the maximum frame size of "
+            + frameOptions.maxSize);
+    }
+
+    var frame = Buffer.alloc(payload.length + frameOptions.lengthBytes);
+    if (frameOptions.endian === "LE") {
+        frame.writeUIntLE(payload.length, 0, frameOptions.lengthBytes);
+    } else {
+        frame.writeUIntBE(payload.length, 0, frameOptions.lengthBytes);
+    }
+    payload.copy(frame, frameOptions.lengthBytes);
+    return frame;
+};
+
+/**
+ * Reads the payload length at the start of a frame.
+ *
+ * @param buffer {Buffer} The data, which must contain at least `frameOptions.lengthBytes` bytes.
+ * @param frameOptions {Object} The framing options (from messaging.getFrameOptions).
+ * @return {Number} The payload length.
+ */
+messaging.readFrameLength = function (buffer, frameOptions) {
+    return (frameOptions.endian === "LE")
+        ? buffer.readUIntLE(0, frameOptions.lengthBytes)
+        : buffer.readUIntBE(0, frameOptions.lengthBytes);
+};
+
+// Protocol versions supported by this implementation. Version 1 is the original handshake, where only the session type
+// is sent.
+messaging.protocolVersions = [1, 2];
+
+// Default time (in ms) to wait for a reply to a request.
+messaging.defaultTimeout = 30000;
+
+// The longest delay a timer can have (a longer one fires straight away).
+messaging.maxTimerDelay = 0x7fffffff;
+
+/**
+ * Default outbound queue options.
+ *
+ * When the pipe isn't accepting any more data (the remote end isn't reading quickly enough), messages are queued until
+ * the pipe drains.
+ */
+messaging.queueDefaults = {
+    // When the queue reaches this many bytes, the remote end is considered stalled.
+    highWaterMark: 256 * 1024,
+    // Maximum size of the queue, in bytes. When exceeded, the oldest messages are removed.
+    limit: 1024 * 1024,
+    // Maximum size of all the channels' queues together, in bytes (a session option only). When exceeded, the oldest
+    // messages are removed from the channel with the most queued.
+    totalLimit: 4 * 1024 * 1024,
+    // What to do with the messages removed from the queue: "drop" to discard them, or "fail" to also reject the
+    // request they belong to.
+    overflow: "drop"
+};
+
+// The channel used when one isn't specified.
+messaging.defaultChannel = "control";
+
+// Default number of channels a session can have, including those that have been closed.
+messaging.maxChannels = 64;
+
+// Optional features supported by default.
+messaging.defaultFeatures = ["streams", "authentication"];
+
+/**
+ * Stream options.
+ *
+ * Stream data is sent in binary frames, which begin with a zero byte (a JSON message can't) followed by the stream id as
+ * a uint32le.
+ */
+messaging.streamDefaults = {
+    // Largest amount of data in a single frame.
+    chunkSize: 64 * 1024,
+    // Amount of unread data held for an incoming stream before it is aborted.
+    maxBuffered: 8 * 1024 * 1024,
+    // Amount of unread data held for all incoming streams. The stream that exceeds it is aborted.
+    maxTotalBuffered: 32 * 1024 * 1024,
+    // Number of incoming streams that can be open at once. Further streams are aborted.
+    maxIncoming: 32,
+    // Number of finished incoming stream ids remembered (so late chunks are ignored).
+    maxFinished: 1000
+};
+
+// The first byte of a stream data frame.
+messaging.streamFrameMarker = 0;
+// Size of the stream data frame header (the marker and stream id).
+messaging.streamHeaderBytes = 5;
+
+/*
+When a session has a secret, its requests are sent in authenticated frames (if the remote end supports the
+"authentication" feature), which carry a counter and an HMAC of the message:
+    0x01 + <counter uint32le> + <HMAC-SHA256(secret, counter + payload)> + <payload>
+The counter increases with each authenticated frame on a channel, so a frame can't be replayed.
+*/
+// The first byte of an authenticated frame.
+messaging.authFrameMarker = 1;
+// Size of the authenticated frame header (the marker, counter, and HMAC).
+messaging.authHeaderBytes = 37;
+
+// Default heartbeat options (see Session.startHeartbeat).
+messaging.heartbeatDefaults = {
+    interval: 30000,
+    timeout: 10000,
+    missLimit: 3
+};
+
+/**
+ * Creates the error that's sent in reply to a request of an unknown type.
+ *
+ * @param requestType {String} The request type.
+ * @return {Error}
+ */
+messaging.unknownRequestError = function (requestType) {
+    var err = new Error("Unknown request type '" + requestType + "'");
+    err.data = {
+        code: "unknown-request",
+        type: requestType
+    };
+    return err;
+};
+
+/**
+ * A messaging session over a connected pipe (or socket).
+ *
+ * Both ends start by sending a "hello" message, containing the session type, the supported protocol versions, the
+ * request types it handles, and the optional features it supports. The highest version supported by both ends is used,
+ * and the features supported by both ends are enabled.
+ *
+ * Once the handshake is complete, either end can send requests to the other. Incoming requests are passed to
+ * `requestHandler`, and the results are sent back as a `Response` or `Error`.
+ *
+ * Messages can be sent over separate logical channels (see Session.channel), so a busy channel doesn't hold up the
+ * others. The session's own methods use the "control" channel.
+ *
+ * Events:
+ *  "ready" (session) The handshake is complete.
+ *  "message" (message, channelName) A message that isn't a request, response or error.
+ *  "request" (request) A request has been received (`request.channel` is the channel name, if not "control").
+ *  "notification" (name, data, channelName) A notification has been received.
+ *  "channel" (channel) The remote end has started using a channel.
+ *  "stalled" (queuedBytes, channelName) A channel's outbound queue has reached the high-water mark.
+ *  "drain" (channelName) A channel's outbound queue is empty, after being stalled.
+ *  "flushed" All outbound queues have been written.
+ *  "message-dropped" (message, channelName) A message has been removed from a full outbound queue.
+ *  "authentication-failed" (err, request) A request has been rejected, because it wasn't authenticated.
+ *  "error" (err)
+ *  "close"
  *
  * @param pipe {Socket} The pipe.
+ * @param sessionType {String} [Optional] Initial text that is sent and checked by both ends.
+ * @param options {Object} [Optional] Options.
+ * @param options.versions {Number[]} Protocol versions to accept (default: messaging.protocolVersions).
+ * @param options.requestTypes {String[]} The request types handled by this end.
+ * @param options.features {String[]} The optional features supported by this end.
+ * @param options.encodings {String[]} The message encodings this end accepts (see message-encoding.js).
+ * @param options.queue {Object} Outbound queue options (see messaging.queueDefaults).
+ * @param options.maxChannels {Number} Number of channels the remote end can cause to be opened (default:
+ *  messaging.maxChannels).
+ * @param options.frame {Object} Framing options (see messaging.frameDefaults). Both ends must use the same.
+ * @param options.recorder {Recorder} Records every frame sent and received (see session-recorder.js). It's closed
+ *  when the session closes.
+ * @param options.secret {Buffer} A secret shared with the remote end. Requests are then signed, and only requests in a
+ *  valid authenticated frame are passed to `requestHandler`.
  * @constructor
  */
-function Session(pipe, sessionType, isServer) {
+function Session(pipe, sessionType, options) {
     if (!(this instanceof Session)) {
-        return new Session(pipe, sessionType, isServer);
+        return new Session(pipe, sessionType, options);
     }
 
+    EventEmitter.call(this);
+
+    var session = this;
     this.pipe = pipe;
 
+    this.options = Object.assign({
+        versions: messaging.protocolVersions,
+        requestTypes: [],
+        features: messaging.defaultFeatures,
+        encodings: [messageEncoding.defaultEncoding],
+        maxChannels: messaging.maxChannels
+    }, options);
+    this.options.queue = Object.assign({}, messaging.queueDefaults, this.options.queue);
+    this.frameOptions = messaging.getFrameOptions(this.options.frame);
+    this.recorder = this.options.recorder || null;
+    this.secret = this.options.secret || null;
+
+    // The logical channels, keyed by name. Messages waiting to be written (while the pipe isn't accepting any more
+    // data) are queued in each channel. The remote end names channels too, so there's no prototype to collide with.
+    this.channels = Object.create(null);
+    // The order in which the channel queues are written (channels of the same priority take turns).
+    this.channelOrder = [];
+    // Total size of all the queues.
+    this.outQueueBytes = 0;
+    this.writeBlocked = false;
+    this.channel(messaging.defaultChannel);
+
+    // Streams being written by this end, and read from the remote end, keyed by stream id.
+    this.outgoingStreams = {};
+    this.incomingStreams = {};
+    // Incoming streams that have finished (so late chunks are ignored), and the order they finished.
+    this.finishedIncomingStreams = {};
+    this.finishedIncomingOrder = [];
+    this.lastStreamId = 0;
+
     this.sessionType = sessionType || "gpii-pipe";
-    this.sessionTypeChecked = false;
+    this.handshakeComplete = false;
+
+    // The negotiated protocol version.
+    this.protocolVersion = null;
+    // The features that both ends support.
+    this.features = [];
+    // The encoding of the messages, after the handshake.
+    this.encoding = messageEncoding.defaultEncoding;
+    // What the remote end sent in its hello message.
+    this.remote = null;
 
-    this.sendMessage(this.sessionType);
-    this.buffer = null;
+    this.buffer = Buffer.alloc(0);
     this.payloadLength = null;
 
+    // Requests sent by this end that are waiting for a reply, keyed by request id. The ids in replies come from the
+    // remote end, so these have no prototype to find "constructor" (for example) in.
+    this.pendingRequests = Object.create(null);
+    // Requests from the remote end that are being handled, keyed by request id.
+    this.activeRequests = Object.create(null);
+    this.lastRequestId = 0;
+    this.closed = false;
+
+    // Heartbeat state, when heartbeats are being sent.
+    this.heartbeat = null;
+
+    /**
+     * Handles requests from the remote end.
+     *
+     * @param type {String} The request type.
+     * @param data {Object} The request data.
+     * @param request {Object} The request message.
+     * @param session {Session} This session.
+     * @return {Object|Promise} The response data (or a promise resolving to it).
+     */
+    this.requestHandler = null;
+
+    this.sendHello();
+
     pipe.on("data", function (data) {
-        this.gotData(data);
+        session.gotData(data);
     });
     pipe.on("error", function (err) {
-        console.log(err);
-        this.on("error", err);
+        session.emit("error", err);
     });
     pipe.on("end", function () {
-        this.on("close");
+        session.close();
     });
     pipe.on("close", function () {
-        this.on("close");
+        session.close();
     });
-};
+}
 
 util.inherits(Session, EventEmitter);
-
-// Number of bytes used for the message length.
-messaging.lengthByteCount = 2;
+messaging.Session = Session;
 
 /**
  * Handle the pipe's "data" event.
  *
  * Messages may not arrive in a single chunk, so the data is added to a buffer until there is enough data to process.
+ * A chunk may also contain more than one message. If the remote end announces a frame larger than the maximum size,
+ * the session is closed.
  *
  * @param data {Buffer}
  */
 Session.prototype.gotData = function (data) {
-    this.buffer = Buffer.concat(this.buffer, data);
+    this.buffer = Buffer.concat([this.buffer, data]);
+
+    var more = true;
+    while (more && !this.closed) {
+        more = false;
+        if (this.payloadLength === null) {
+            // The first bytes are the length of the payload.
+            if (this.buffer.length >= this.frameOptions.lengthBytes) {
+                this.payloadLength = messaging.readFrameLength(this.buffer, this.frameOptions);
+                this.buffer = this.buffer.slice(this.frameOptions.lengthBytes);
 
-    if (!this.payloadLength) {
-        // The first bytes are the length of the payload.
-        if (this.buffer.length >= messaging.lengthByteCount) {
-            this.payloadLength = this.buffer.readUIntBE(0, messaging.lengthByteCount);
-            this.buffer = this.buffer.slice(messaging.lengthByteCount);
+                if (this.payloadLength > this.frameOptions.maxSize) {
+                    // Don't wait for a payload that's too big.
+                    var size = this.payloadLength;
+                    var tooLarge = "Incoming frame size " + size + " exceeds the maximum frame size of "
+                        + this.frameOptions.maxSize;
+                    this.buffer = Buffer.alloc(0);
+                    this.payloadLength = null;
+                    this.protocolError(tooLarge, {
+                        code: "frame-too-large",
+                        size: size
+                    });
+                    break;
+                }
+            }
         }
-    }
 
-    if (this.buffer.length >= this.payloadLength) {
-        this.gotMessage(this.buffer.toString("utf8", 0, this.payloadLength));
-        this.buffer = this.buffer.slice(this.payloadLength);
+        if (this.payloadLength !== null && this.buffer.length >= this.payloadLength) {
+            var payload = this.buffer.slice(0, this.payloadLength);
+            this.buffer = this.buffer.slice(this.payloadLength);
+            this.payloadLength = null;
+            if (this.recorder) {
+                this.recorder.record("in", payload);
+            }
+            if (payload[0] === messaging.streamFrameMarker && this.hasFeature("streams")) {
+                this.gotStreamData(payload);
+            } else if (payload[0] === messaging.authFrameMarker && this.handshakeComplete) {
+                this.gotAuthenticatedFrame(payload);
+            } else {
+                this.gotMessage(payload);
+            }
+            more = true;
+        }
     }
 };
 
+/**
+ * Handles a violation of the protocol by the remote end, by closing the session.
+ *
+ * @param message {String} What was wrong.
+ * @param data {Object} The `data` of the error, with the error `code`.
+ */
+Session.prototype.protocolError = function (message, data) {
+    var err = new Error(message);
+    err.data = data;
+    this.emit("error", err);
+    this.close();
+};
+
 /**
  * Called when a message has been received.
- * @param message
- */
-Session.prototype.gotMessage = function (message) {
-    if (this.sessionTypeChecked) {
-        var messageObject = JSON.parse(message);
-        this.emit("message", messageObject);
-    } else if (message === this.sessionType) {
-        this.sessionTypeChecked = true;
+ * @param payload {Buffer} The message payload.
+ * @param authCounter {Number} [optional] The counter of the authenticated frame the message was in, if its HMAC was
+ *  valid.
+ */
+Session.prototype.gotMessage = function (payload, authCounter) {
+    if (!this.handshakeComplete) {
+        this.gotHello(payload.toString("utf8"));
     } else {
+        var messageObject;
+        try {
+            messageObject = messageEncoding.decode(payload, this.encoding);
+        } catch (e) {
+            this.emit("error", e);
+        }
+        if (messageObject) {
+            this.processMessage(messageObject, authCounter);
+        }
+    }
+};
+
+/**
+ * Called when an authenticated frame has been received. The message is processed either way, but it's only treated as
+ * authenticated if the HMAC is valid.
+ *
+ * @param payload {Buffer} The frame payload.
+ */
+Session.prototype.gotAuthenticatedFrame = function (payload) {
+    var authCounter;
+    if (this.secret && payload.length > messaging.authHeaderBytes) {
+        var counterBuf = payload.slice(1, 5);
+        var hmac = payload.slice(5, messaging.authHeaderBytes);
+        var expected = messaging.createHmac(this.secret, counterBuf, payload.slice(messaging.authHeaderBytes));
+        if (crypto.timingSafeEqual(hmac, expected)) {
+            authCounter = counterBuf.readUInt32LE(0);
+        }
+    }
+
+    this.gotMessage(payload.slice(messaging.authHeaderBytes), authCounter);
+};
+
+/**
+ * Creates the HMAC for an authenticated frame.
+ *
+ * @param secret {Buffer} The shared secret.
+ * @param counterBuf {Buffer} The frame counter, as a uint32le.
+ * @param payload {Buffer} The message payload.
+ * @return {Buffer} The HMAC.
+ */
+messaging.createHmac = function (secret, counterBuf, payload) {
+    return crypto.createHmac("sha256", secret).update(counterBuf).update(payload).digest();
+};
+
+/**
+ * Wraps a message payload in an authenticated frame payload.
+ *
+ * @param payload {Buffer} The message payload.
+ * @param channel {Channel} The channel it's being sent on.
+ * @return {Buffer} The authenticated frame payload.
+ */
+Session.prototype.signPayload = function (payload, channel) {
+    var header = Buffer.alloc(5);
+    header[0] = messaging.authFrameMarker;
+    header.writeUInt32LE(++channel.authCounter, 1);
+    var hmac = messaging.createHmac(this.secret, header.slice(1), payload);
+    return Buffer.concat([header, hmac, payload]);
+};
+
+/**
+ * Sends the hello message, which starts the handshake.
+ */
+Session.prototype.sendHello = function () {
+    this.sendMessage({
+        hello: this.sessionType,
+        versions: this.options.versions,
+        requestTypes: this.options.requestTypes,
+        features: this.options.features,
+        encodings: this.options.encodings
+    });
+};
+
+/**
+ * Handles the first message from the remote end, which should be the hello message. The session is closed if the
+ * remote end is not compatible, or the hello message is malformed.
+ *
+ * An older remote end will only send the session type, which is handled as protocol version 1 without any features.
+ *
+ * @param message {String} The message.
+ */
+Session.prototype.gotHello = function (message) {
+    var hello;
+    if (message === this.sessionType) {
+        hello = {
+            hello: message,
+            versions: [1]
+        };
+    } else {
+        try {
+            hello = JSON.parse(message);
+        } catch (e) {
+            hello = null;
+        }
+    }
+
+    var errors = hello ? messageSchema.validate(hello, messageSchema.envelopes.hello, "hello") : [];
+    if (errors.length) {
+        // The handshake can't complete, and every frame after this would be taken as another hello.
+        this.protocolError("Invalid hello message: " + errors.join(", "), {
+            code: "invalid-message",
+            errors: errors
+        });
+        return;
+    }
+
+    var err;
+    if (!hello || hello.hello !== this.sessionType) {
+        err = new Error("Unexpected client session type " + (hello ? hello.hello : message));
+    } else {
+        var version = messaging.negotiateVersion(this.options.versions, hello.versions);
+        if (version) {
+            this.remote = {
+                versions: hello.versions,
+                requestTypes: hello.requestTypes || [],
+                features: hello.features || []
+            };
+            this.protocolVersion = version;
+            this.features = this.options.features.filter(function (feature) {
+                return this.remote.features.indexOf(feature) >= 0;
+            }, this);
+            this.encoding = messageEncoding.negotiate(this.options.encodings, hello.encodings);
+            this.handshakeComplete = true;
+            this.emit("ready", this);
+        } else {
+            err = new Error("No common protocol version (local: " + this.options.versions
+                + ", remote: " + hello.versions + ")");
+        }
+    }
+
+    if (err) {
         this.pipe.end();
-        this.emit("error", new Error("Unexpected client session type " + message));
+        this.emit("error", err);
+    }
+};
+
+/**
+ * Gets the highest protocol version that's supported by both ends.
+ *
+ * @param localVersions {Number[]} The versions supported by this end.
+ * @param remoteVersions {Number[]} The versions supported by the remote end.
+ * @return {Number} The highest common version, or null if there isn't one.
+ */
+messaging.negotiateVersion = function (localVersions, remoteVersions) {
+    var version = null;
+    if (Array.isArray(remoteVersions)) {
+        localVersions.forEach(function (v) {
+            if (remoteVersions.indexOf(v) >= 0 && (version === null || v > version)) {
+                version = v;
+            }
+        });
     }
+    return version;
+};
+
+/**
+ * Determines if an optional feature is supported by both ends.
+ *
+ * @param feature {String} The feature name.
+ * @return {Boolean} true if the feature is enabled.
+ */
+Session.prototype.hasFeature = function (feature) {
+    return this.features.indexOf(feature) >= 0;
+};
+
+/**
+ * Determines if the remote end handles a type of request. This is only known if the remote end sent its request types
+ * during the handshake.
+ *
+ * @param requestType {String} The request type.
+ * @return {Boolean} true if the remote end handles the request type.
+ */
+Session.prototype.remoteHandles = function (requestType) {
+    return !!this.remote && this.remote.requestTypes.indexOf(requestType) >= 0;
+};
+
+/**
+ * Processes a message that's been received, determining if it's a request, response, or error. Malformed requests are
+ * replied to with an error.
+ *
+ * @param message {Object} The message.
+ * @param authCounter {Number} [optional] The counter of the authenticated frame the message was in, if its HMAC was
+ *  valid.
+ */
+Session.prototype.processMessage = function (message, authCounter) {
+    var errors = messageSchema.validateMessage(message);
+    var channelName = (message && message.channel) || messaging.defaultChannel;
+    if (errors.length) {
+        var invalid = new Error("Invalid message: " + errors.join(", "));
+        invalid.data = {
+            code: "invalid-message",
+            errors: errors
+        };
+        if (message && message.request !== undefined) {
+            // Tell the remote end what was wrong with the request.
+            this.sendError(message, invalid);
+        } else {
+            this.emit("error", invalid);
+        }
+    } else if (message.channelClose === messaging.defaultChannel) {
+        // The session depends on the control channel (heartbeats, for one).
+        var controlError = new Error("The control channel can't be closed");
+        controlError.data = {
+            code: "invalid-message"
+        };
+        this.emit("error", controlError);
+    } else if (message.channelClose !== undefined) {
+        var closing = this.channels[message.channelClose];
+        if (closing && !closing.closed) {
+            closing.closed = true;
+            closing.emit("close");
+        }
+    } else if (message.request !== undefined) {
+        var channel = this.getRemoteChannel(channelName);
+        if (!channel) {
+            this.refuseChannel(message, channelName);
+        } else {
+            // A counter that's not higher than the last means the frame has been replayed.
+            var authenticated = authCounter !== undefined && authCounter > channel.remoteAuthCounter;
+            if (authenticated) {
+                channel.remoteAuthCounter = authCounter;
+            }
+            this.handleRequest(message, authenticated);
+        }
+    } else if (message.response !== undefined) {
+        this.handleReply(message.response, null, message.data);
+    } else if (message.error !== undefined) {
+        var err = new Error(message.message || "Request failed");
+        err.data = message.data;
+        this.handleReply(message.error, err);
+    } else if (message.cancel !== undefined) {
+        var cancelError = new Error("Request cancelled by the remote end: " + (message.message || "no reason"));
+        cancelError.data = {
+            code: "cancelled"
+        };
+        this.abortRequest(message.cancel, cancelError);
+    } else if (message.notify !== undefined) {
+        var notifyChannel = this.getRemoteChannel(channelName);
+        if (!notifyChannel) {
+            this.refuseChannel(message, channelName);
+        } else {
+            notifyChannel.emit("notification", message.notify, message.data);
+            this.emit("notification", message.notify, message.data, channelName);
+        }
+    } else if (message.streamEnd !== undefined) {
+        this.endIncomingStream(message.streamEnd);
+    } else if (message.streamAbort !== undefined) {
+        var abortError = new Error("Stream aborted by the remote end: " + (message.message || "no reason"));
+        abortError.data = {
+            code: "stream-aborted"
+        };
+        if (message.reader) {
+            // The remote end has stopped reading a stream that this end is writing.
+            var outgoing = this.outgoingStreams[message.streamAbort];
+            if (outgoing) {
+                outgoing.remoteAborted = true;
+                destroyStream(outgoing, abortError);
+            }
+        } else {
+            this.endIncomingStream(message.streamAbort, abortError);
+        }
+    } else {
+        var messageChannel = this.getRemoteChannel(channelName);
+        if (!messageChannel) {
+            this.refuseChannel(message, channelName);
+        } else {
+            messageChannel.emit("message", message);
+            this.emit("message", message, channelName);
+        }
+    }
+};
+
+/**
+ * Refuses a message on a new channel, because the session already has too many channels.
+ *
+ * @param message {Object} The message.
+ * @param channelName {String} The channel it was sent on.
+ */
+Session.prototype.refuseChannel = function (message, channelName) {
+    var err = new Error("Too many channels to open '" + channelName + "'");
+    err.data = {
+        code: "too-many-channels"
+    };
+    if (message.request !== undefined) {
+        // Reply on the control channel, so the remote end isn't left waiting.
+        this.sendMessage({
+            error: message.request,
+            message: err.message,
+            data: err.data
+        });
+    }
+    this.emit("error", err);
+};
+
+/**
+ * Sends a request to the remote end.
+ *
+ * @param type {String} The request type.
+ * @param data {Object} [optional] Additional data.
+ * @param options {Object} [optional] Options
+ * @param options.timeout {Number} Milliseconds to wait for a reply (default: messaging.defaultTimeout, 0 for none).
+ *  The request is cancelled when this passes.
+ * @param options.deadline {Number} Time (ms since epoch) when the remote end should give up (default: now + timeout).
+ * @param options.channel {String} The channel to send it on (default: "control").
+ * @return {Promise} Resolves with the data of the response, or rejects if an error was received, it timed out, or it was
+ *  cancelled. The `requestId` field is the id to pass to `cancel`.
+ */
+Session.prototype.request = function (type, data, options) {
+    options = Object.assign({}, options);
+    var session = this;
+    var requestId = (++session.lastRequestId).toString();
+
+    var promise = new Promise(function (resolve, reject) {
+        if (session.closed) {
+            reject(new Error("Session is closed"));
+            return;
+        }
+
+        var pending = {
+            type: type,
+            resolve: resolve,
+            reject: reject,
+            timer: null,
+            channel: options.channel
+        };
+
+        var message = {
+            request: requestId,
+            type: type
+        };
+        if (data !== undefined) {
+            message.data = data;
+        }
+
+        var timeout = (options.timeout === undefined) ? messaging.defaultTimeout : options.timeout;
+        if (timeout) {
+            pending.timer = setTimeout(function () {
+                var err = new Error("Request '" + type + "' timed out");
+                err.timeout = true;
+                err.data = {
+                    code: "timeout"
+                };
+                session.cancel(requestId, err);
+            }, timeout);
+        }
+
+        var deadline = options.deadline || (timeout && Date.now() + timeout);
+        if (deadline) {
+            // The remote end will give up at this time.
+            message.deadline = deadline;
+        }
+
+        session.pendingRequests[requestId] = pending;
+        session.sendMessage(message, options.channel);
+    });
+
+    promise.requestId = requestId;
+    return promise;
+};
+
+/**
+ * Cancels a request that was sent by this end. The request is rejected, and the remote end is told to abandon it.
+ *
+ * @param requestId {String} The request id (the `requestId` field of the promise returned by `request`).
+ * @param reason {Error|String} [optional] Why it's being cancelled.
+ * @return {Boolean} true if the request was pending.
+ */
+Session.prototype.cancel = function (requestId, reason) {
+    var pending = this.pendingRequests[requestId];
+    if (pending) {
+        var err = reason instanceof Error ? reason : new Error("Request '" + pending.type + "' cancelled"
+            + (reason ? ": " + reason : ""));
+        if (!err.data) {
+            err.data = {
+                code: "cancelled"
+            };
+        }
+        this.handleReply(requestId, err);
+        if (this.isChannelOpen(pending.channel)) {
+            this.sendMessage({
+                cancel: requestId,
+                message: err.message
+            }, pending.channel);
+        }
+    }
+    return !!pending;
+};
+
+/**
+ * Completes a pending request.
+ *
+ * @param requestId {String} The request id.
+ * @param err {Error} The error, if the request failed.
+ * @param data {Object} The response data.
+ */
+Session.prototype.handleReply = function (requestId, err, data) {
+    var pending = this.pendingRequests[requestId];
+    if (pending) {
+        delete this.pendingRequests[requestId];
+        clearTimeout(pending.timer);
+        if (err) {
+            pending.reject(err);
+        } else {
+            pending.resolve(data);
+        }
+    }
+    // Otherwise, it's a late reply to a request that has timed out.
+};
+
+/**
+ * Handles a request from the remote end, by passing it to the request handler and sending back the result. If the
+ * session has a secret, requests for the request handler are rejected unless they're authenticated.
+ *
+ * @param request {Object} The request message.
+ * @param authenticated {Boolean} true if the request was in a valid authenticated frame.
+ */
+Session.prototype.handleRequest = function (request, authenticated) {
+    var session = this;
+    var builtin = messaging.builtinRequests.hasOwnProperty(request.type);
+
+    if (this.secret && !builtin && !authenticated) {
+        var authError = new Error("Request '" + request.type + "' is not authenticated");
+        authError.data = {
+            code: "unauthenticated"
+        };
+        this.emit("authentication-failed", authError, request);
+        this.sendError(request, authError);
+        return;
+    }
+
+    this.channel(request.channel || messaging.defaultChannel).emit("request", request);
+    this.emit("request", request);
+
+    var active = {
+        signal: new RequestSignal(),
+        timer: null
+    };
+    // The handler can check this, or listen for its "abort" event, to know when to stop.
+    request.signal = active.signal;
+
+    var requestId = request.request;
+    this.activeRequests[requestId] = active;
+
+    // A deadline too far away to be timed is as good as none.
+    var untilDeadline = request.deadline ? request.deadline - Date.now() : null;
+    if (untilDeadline !== null && untilDeadline <= messaging.maxTimerDelay) {
+        active.timer = setTimeout(function () {
+            var err = new Error("Request '" + request.type + "' exceeded its deadline");
+            err.data = {
+                code: "deadline-exceeded"
+            };
+            session.abortRequest(requestId, err);
+            try {
+                session.sendError(request, err);
+            } catch (e) {
+                // Nothing can be thrown from a timer; the remote end will give up on the request anyway.
+            }
+        }, Math.max(0, untilDeadline));
+    }
+
+    var handler = builtin
+        ? messaging.builtinRequests[request.type].bind(this)
+        : this.requestHandler;
+    Promise.resolve().then(function () {
+        if (!handler) {
+            throw messaging.unknownRequestError(request.type);
+        }
+        return handler(request.type, request.data, request, session);
+    }).then(function (result) {
+        if (!active.signal.aborted) {
+            session.sendResponse(request, result);
+        }
+    }, function (err) {
+        if (!active.signal.aborted) {
+            session.sendError(request, err);
+        }
+    }).then(null, function (err) {
+        // The reply couldn't be sent (it can't be encoded, or is too large), but the remote end is still waiting.
+        var sendError = new Error("Unable to send the reply to request '" + request.type + "': " + err.message);
+        sendError.data = {
+            code: "reply-failed"
+        };
+        try {
+            session.sendError(request, sendError);
+        } catch (e) {
+            // The session is unusable; the remote end will give up on the request when it closes.
+        }
+    }).then(function () {
+        if (session.activeRequests[requestId] === active) {
+            clearTimeout(active.timer);
+            delete session.activeRequests[requestId];
+        }
+    });
+};
+
+/**
+ * Aborts a request from the remote end that's being handled, signalling the handler to stop. The handler's result is
+ * not sent. An id that isn't being handled (it's finished, or never existed) is ignored.
+ *
+ * @param requestId {String} The request id.
+ * @param reason {Error} Why it's being aborted.
+ */
+Session.prototype.abortRequest = function (requestId, reason) {
+    var active = this.activeRequests[requestId];
+    if (active) {
+        delete this.activeRequests[requestId];
+        clearTimeout(active.timer);
+        active.signal.abort(reason);
+    }
+};
+
+/**
+ * Signals the handler of a request that the request has been abandoned (cancelled by the remote end, passed its
+ * deadline, or the session has closed).
+ *
+ * Events:
+ *  "abort" (reason) The request has been aborted.
+ *
+ * @constructor
+ */
+function RequestSignal() {
+    EventEmitter.call(this);
+    this.aborted = false;
+    this.reason = null;
+}
+
+util.inherits(RequestSignal, EventEmitter);
+messaging.RequestSignal = RequestSignal;
+
+/**
+ * Aborts the request.
+ *
+ * @param reason {Error} Why it's being aborted.
+ */
+RequestSignal.prototype.abort = function (reason) {
+    if (!this.aborted) {
+        this.aborted = true;
+        this.reason = reason;
+        this.emit("abort", reason);
+    }
+};
+
+/**
+ * Throws the reason, if the request has been aborted. For handlers to call between steps.
+ */
+RequestSignal.prototype.throwIfAborted = function () {
+    if (this.aborted) {
+        throw this.reason;
+    }
+};
+
+/**
+ * Requests that are handled by the session itself, rather than the request handler. Called with the session as `this`.
+ */
+messaging.builtinRequests = {
+    /**
+     * Heartbeat request. Replying is enough to show that this end is responsive.
+     * @return {Object} The time.
+     */
+    ping: function () {
+        return {
+            time: Date.now()
+        };
+    }
+};
+
+/**
+ * Starts sending heartbeats ("ping" requests) to the remote end.
+ *
+ * If the remote end fails to reply to a number of consecutive heartbeats, then it's considered unresponsive. Any reply,
+ * including an error, counts as a response.
+ *
+ * Events:
+ *  "heartbeat-missed" (missedCount) A heartbeat wasn't replied to in time.
+ *  "unresponsive" (missedCount) The remote end has missed `missLimit` heartbeats.
+ *  "responsive" The remote end has replied after being unresponsive.
+ *
+ * @param options {Object} [optional] Options (see messaging.heartbeatDefaults).
+ * @param options.interval {Number} Milliseconds between each heartbeat.
+ * @param options.timeout {Number} Milliseconds to wait for a reply.
+ * @param options.missLimit {Number} Number of consecutive missed heartbeats before it's considered unresponsive.
+ */
+Session.prototype.startHeartbeat = function (options) {
+    var session = this;
+    this.stopHeartbeat();
+
+    var heartbeat = Object.assign({}, messaging.heartbeatDefaults, options, {
+        missed: 0,
+        waiting: false,
+        timer: null
+    });
+
+    if (heartbeat.interval > 0) {
+        heartbeat.timer = setInterval(function () {
+            session.sendHeartbeat();
+        }, heartbeat.interval);
+    }
+
+    this.heartbeat = heartbeat;
+};
+
+/**
+ * Stops sending heartbeats.
+ */
+Session.prototype.stopHeartbeat = function () {
+    if (this.heartbeat) {
+        clearInterval(this.heartbeat.timer);
+        this.heartbeat = null;
+    }
+};
+
+/**
+ * Sends a heartbeat, unless the previous one is still waiting for a reply.
+ */
+Session.prototype.sendHeartbeat = function () {
+    var session = this;
+    var heartbeat = this.heartbeat;
+    if (!heartbeat || heartbeat.waiting || this.closed) {
+        return;
+    }
+
+    heartbeat.waiting = true;
+    var gotReply = function () {
+        heartbeat.waiting = false;
+        if (session.heartbeat !== heartbeat) {
+            // Heartbeats have been stopped.
+            return;
+        }
+        var wasUnresponsive = heartbeat.missed >= heartbeat.missLimit;
+        heartbeat.missed = 0;
+        if (wasUnresponsive) {
+            session.emit("responsive");
+        }
+    };
+
+    this.request("ping", null, {timeout: heartbeat.timeout}).then(gotReply, function (err) {
+        if (!err.timeout) {
+            // An error reply is still a reply.
+            gotReply();
+        } else if (session.heartbeat === heartbeat) {
+            heartbeat.waiting = false;
+            heartbeat.missed++;
+            session.emit("heartbeat-missed", heartbeat.missed);
+            if (heartbeat.missed === heartbeat.missLimit) {
+                session.emit("unresponsive", heartbeat.missed);
+            }
+        }
+    });
+};
+
+/**
+ * Sends a response to a request.
+ *
+ * @param request {Object} The request message being responded to.
+ * @param data {Object} [optional] Additional data.
+ */
+Session.prototype.sendResponse = function (request, data) {
+    var message = {
+        response: request.request,
+        type: request.type
+    };
+    if (data !== undefined) {
+        message.data = data;
+    }
+    this.sendReply(request, message);
+};
+
+/**
+ * Sends an error in reply to a request.
+ *
+ * @param request {Object} The request message being responded to.
+ * @param err {Error|String} The error.
+ */
+Session.prototype.sendError = function (request, err) {
+    var message = {
+        error: request.request,
+        message: (err && err.message) || String(err)
+    };
+    if (err && err.data !== undefined) {
+        message.data = err.data;
+    }
+    this.sendReply(request, message);
+};
+
+/**
+ * Sends a reply to a request, on the request's channel. If the remote end has closed the channel since making the
+ * request, it's no longer expecting the reply, so it's dropped.
+ *
+ * @param request {Object} The request message being replied to.
+ * @param message {Object} The response or error message.
+ */
+Session.prototype.sendReply = function (request, message) {
+    if (this.isChannelOpen(request.channel)) {
+        this.sendMessage(message, request.channel);
+    }
+};
+
+/**
+ * Determines if a channel is open.
+ *
+ * @param channelName {String} [optional] The channel name (default: "control").
+ * @return {Boolean} true if the channel is open.
+ */
+Session.prototype.isChannelOpen = function (channelName) {
+    var channel = this.channels[channelName || messaging.defaultChannel];
+    return !!channel && !channel.closed;
+};
+
+/**
+ * Sends a notification. Notifications are not replied to.
+ *
+ * @param name {String} The notification name.
+ * @param data {Object} [optional] Additional data.
+ * @param channelName {String} [optional] The channel to send it on.
+ */
+Session.prototype.sendNotification = function (name, data, channelName) {
+    var message = {
+        notify: name
+    };
+    if (data !== undefined) {
+        message.data = data;
+    }
+    this.sendMessage(message, channelName);
 };
 
 /**
  * Sends a message to the pipe.
  *
  * @param payload {String|Object|Buffer} The message payload.
+ * @param channelName {String} [optional] The channel to send it on (only for object payloads).
+ * @throws {Error} If the message is larger than the maximum frame size, or the channel is closed.
  */
-Session.prototype.sendMessage = function (payload) {
+Session.prototype.sendMessage = function (payload, channelName) {
+    if (this.closed) {
+        return;
+    }
+
+    var channel = this.channels[channelName || messaging.defaultChannel];
+    if (!channel || channel.closed) {
+        throw new Error("Channel '" + channelName + "' is not open");
+    }
+
     var payloadBuf;
     if (Buffer.isBuffer(payload)) {
         payloadBuf = payload;
+    } else if (typeof(payload) === "string") {
+        payloadBuf = Buffer.from(payload);
     } else {
-        var payloadString;
-        if (typeof(payload) === "string") {
-            payloadString = payload;
-        } else {
-            payloadString = JSON.stringify(payload);
+        if (channel.name !== messaging.defaultChannel) {
+            payload = Object.assign({ channel: channel.name }, payload);
+        }
+        // The hello message is always JSON.
+        var encodingName = this.handshakeComplete ? this.encoding : messageEncoding.defaultEncoding;
+        payloadBuf = messageEncoding.encode(payload, encodingName);
+        if (payload.request !== undefined && this.secret && this.hasFeature("authentication")) {
+            payloadBuf = this.signPayload(payloadBuf, channel);
         }
-        payloadBuf = Buffer.from(payloadString);
     }
 
     // <message> = <length> + <payload>
-    var message = Buffer.alloc(payloadBuf.length + messaging.lengthByteCount);
-    message.writeUIntBE(payloadBuf.length, 0, messaging.lengthByteCount);
-    payloadBuf.copy(message, messaging.lengthByteCount);
+    this.writeFrame(messaging.createFrame(payloadBuf, this.frameOptions), payload, channel);
+};
+
+/**
+ * Writes a frame to the pipe, or adds it to the channel's outbound queue if the pipe isn't accepting data.
+ *
+ * @param frame {Buffer} The frame.
+ * @param payload {Object} The message, before it was serialised.
+ * @param channel {Channel} [optional] The channel it belongs to.
+ */
+Session.prototype.writeFrame = function (frame, payload, channel) {
+    var session = this;
+    channel = channel || this.channels[messaging.defaultChannel];
+
+    if (this.recorder) {
+        this.recorder.record("out", frame.slice(this.frameOptions.lengthBytes));
+    }
+
+    if (this.writeBlocked) {
+        channel.queue.push({
+            frame: frame,
+            payload: payload
+        });
+        channel.queueBytes += frame.length;
+        this.outQueueBytes += frame.length;
+        this.checkQueue(channel);
+    } else if (!this.pipe.write(frame)) {
+        // The pipe's own buffer is full; queue the messages until it drains.
+        this.writeBlocked = true;
+        this.pipe.once("drain", function () {
+            session.flushQueue();
+        });
+    }
+};
+
+/**
+ * Checks the size of a channel's outbound queue, removing the oldest messages if it's too big.
+ *
+ * @param channel {Channel} The channel.
+ */
+Session.prototype.checkQueue = function (channel) {
+    var options = channel.options.queue;
+
+    while (channel.queueBytes > options.limit && channel.queue.length > 1) {
+        this.dropQueued(channel);
+    }
+
+    // Keep all the queues within the session's limit, taking from the channel that's using the most of it.
+    var totalLimit = this.options.queue.totalLimit;
+    var largest;
+    while (this.outQueueBytes > totalLimit && (largest = this.largestQueuedChannel())) {
+        this.dropQueued(largest);
+    }
+
+    if (!channel.stalled && channel.queueBytes >= options.highWaterMark) {
+        channel.stalled = true;
+        channel.emit("stalled", channel.queueBytes);
+        this.emit("stalled", channel.queueBytes, channel.name);
+    }
+};
+
+/**
+ * Removes the oldest message from a channel's outbound queue.
+ *
+ * @param channel {Channel} The channel.
+ */
+Session.prototype.dropQueued = function (channel) {
+    var dropped = channel.queue.shift();
+    channel.queueBytes -= dropped.frame.length;
+    this.outQueueBytes -= dropped.frame.length;
+    channel.emit("message-dropped", dropped.payload);
+    this.emit("message-dropped", dropped.payload, channel.name);
+
+    var requestId = dropped.payload && dropped.payload.request;
+    if (channel.options.queue.overflow === "fail" && requestId !== undefined && this.pendingRequests[requestId]) {
+        var err = new Error("Request '" + dropped.payload.type + "' dropped from a full queue");
+        err.data = {
+            code: "queue-overflow"
+        };
+        this.handleReply(requestId, err);
+    }
+};
+
+/**
+ * Gets the channel with the most bytes queued, that has more than one message queued (a single message is never
+ * dropped, so an oversized message can still be sent).
+ *
+ * @return {Channel} The channel, or null if there isn't one.
+ */
+Session.prototype.largestQueuedChannel = function () {
+    var largest = null;
+    this.channelOrder.forEach(function (name) {
+        var channel = this.channels[name];
+        if (channel && channel.queue.length > 1 && (!largest || channel.queueBytes > largest.queueBytes)) {
+            largest = channel;
+        }
+    }, this);
+    return largest;
+};
+
+/**
+ * Gets the channel whose queue should be written next: the highest priority (lowest value) channel with something
+ * queued. Channels of the same priority take turns.
+ *
+ * @return {Channel} The channel, or null if nothing is queued.
+ */
+Session.prototype.nextQueuedChannel = function () {
+    var next = null;
+    this.channelOrder.forEach(function (name) {
+        var channel = this.channels[name];
+        if (channel && channel.queue.length && (!next || channel.priority < next.priority)) {
+            next = channel;
+        }
+    }, this);
+    return next;
+};
+
+/**
+ * Writes the queued messages, after the pipe has drained.
+ */
+Session.prototype.flushQueue = function () {
+    var session = this;
+    this.writeBlocked = false;
+
+    var channel;
+    while (!this.writeBlocked && !this.closed && (channel = this.nextQueuedChannel())) {
+        var item = channel.queue.shift();
+        channel.queueBytes -= item.frame.length;
+        this.outQueueBytes -= item.frame.length;
+
+        // Move the channel to the end of the line.
+        this.channelOrder.splice(this.channelOrder.indexOf(channel.name), 1);
+        this.channelOrder.push(channel.name);
+
+        if (!this.pipe.write(item.frame)) {
+            this.writeBlocked = true;
+            this.pipe.once("drain", function () {
+                session.flushQueue();
+            });
+        }
+
+        if (!channel.queue.length && channel.stalled) {
+            channel.stalled = false;
+            channel.emit("drain");
+            this.emit("drain", channel.name);
+        }
+    }
+
+    if (!this.writeBlocked) {
+        this.emit("flushed");
+    }
+};
+
+/**
+ * Gets a logical channel, opening it if required. Each channel has its own outbound queue, so messages on one channel
+ * are not held up by a backlog on another. Messages within a channel stay in order.
+ *
+ * @param name {String} The channel name.
+ * @param options {Object} [optional] Options, when the channel is created.
+ * @param options.priority {Number} Lower values are written first when the pipe is congested (default: 0 for
+ *  "control", otherwise 1).
+ * @param options.queue {Object} Outbound queue options (default: the session's queue options).
+ * @return {Channel} The channel.
+ */
+Session.prototype.channel = function (name, options) {
+    var channel = this.channels[name];
+    if (!channel) {
+        channel = new Channel(this, name, options);
+        this.channels[name] = channel;
+        this.channelOrder.push(name);
+    } else if (channel.closed && !this.closed) {
+        channel.closed = false;
+    }
+    return channel;
+};
+
+/**
+ * Gets the channel for an incoming message, opening it if the remote end has started using a new channel.
+ *
+ * @param name {String} The channel name.
+ * @return {Channel} The channel, or null if it's a new channel and the session already has too many.
+ */
+Session.prototype.getRemoteChannel = function (name) {
+    var channel = this.channels[name];
+    if (!channel && Object.keys(this.channels).length >= this.options.maxChannels) {
+        channel = null;
+    } else if (!channel || channel.closed) {
+        channel = this.channel(name);
+        this.emit("channel", channel);
+    }
+    return channel;
+};
+
+/**
+ * A logical channel over a session.
+ *
+ * Events:
+ *  "message" (message) A message that isn't a request, response or error.
+ *  "request" (request) A request has been received (it's handled by the session's request handler).
+ *  "notification" (name, data) A notification has been received.
+ *  "stalled" (queuedBytes) The outbound queue has reached the high-water mark.
+ *  "drain" The outbound queue is empty, after being stalled.
+ *  "message-dropped" (message) A message has been removed from a full outbound queue.
+ *  "close" The channel has been closed by either end, or the session has closed.
+ *
+ * @param session {Session} The session.
+ * @param name {String} The channel name.
+ * @param options {Object} [optional] Options (see Session.channel).
+ * @constructor
+ */
+function Channel(session, name, options) {
+    EventEmitter.call(this);
+    options = Object.assign({}, options);
+
+    this.session = session;
+    this.name = name;
+    this.priority = options.priority === undefined
+        ? (name === messaging.defaultChannel ? 0 : 1)
+        : options.priority;
+    this.options = {
+        queue: Object.assign({}, session.options.queue, options.queue)
+    };
+
+    this.queue = [];
+    this.queueBytes = 0;
+    this.stalled = false;
+    this.closed = false;
+
+    // Counters of the last authenticated frame sent and received.
+    this.authCounter = 0;
+    this.remoteAuthCounter = 0;
+}
+
+util.inherits(Channel, EventEmitter);
+messaging.Channel = Channel;
+
+/**
+ * Sends a request on this channel (see Session.request).
+ *
+ * @param type {String} The request type.
+ * @param data {Object} [optional] Additional data.
+ * @param options {Object} [optional] Options
+ * @return {Promise} Resolves with the data of the response.
+ */
+Channel.prototype.request = function (type, data, options) {
+    return this.session.request(type, data, Object.assign({}, options, { channel: this.name }));
+};
+
+/**
+ * Sends a notification on this channel.
+ *
+ * @param name {String} The notification name.
+ * @param data {Object} [optional] Additional data.
+ */
+Channel.prototype.sendNotification = function (name, data) {
+    this.session.sendNotification(name, data, this.name);
+};
+
+/**
+ * Sends a message on this channel.
+ *
+ * @param message {Object} The message.
+ */
+Channel.prototype.sendMessage = function (message) {
+    this.session.sendMessage(message, this.name);
+};
+
+/**
+ * Opens a stream whose data is sent on this channel (see Session.openStream).
+ *
+ * @return {stream.Writable} The stream.
+ */
+Channel.prototype.openStream = function () {
+    return this.session.openStream({ channel: this.name });
+};
+
+/**
+ * Closes the channel. The remote end receives everything already sent on it first.
+ *
+ * @throws {Error} If it's the control channel, which is only closed with the session.
+ */
+Channel.prototype.close = function () {
+    if (this.name === messaging.defaultChannel) {
+        throw new Error("The control channel can't be closed");
+    }
+    if (!this.closed) {
+        if (!this.session.closed) {
+            this.sendMessage({
+                channelClose: this.name
+            });
+        }
+        this.closed = true;
+        this.emit("close");
+    }
+};
+
+/**
+ * Destroys a stream. The error is only passed on if something is listening for it, because a stream may not have been
+ * picked up by anything yet.
+ *
+ * @param str {stream.Stream} The stream.
+ * @param err {Error} The reason.
+ */
+function destroyStream(str, err) {
+    str.destroy(str.listenerCount("error") > 0 ? err : undefined);
+}
+
+/**
+ * Opens a stream to send data to the remote end. The remote end reads it with `acceptStream`, using the stream id
+ * (which would typically be sent in a request).
+ *
+ * Ending the stream tells the remote end there's no more data; destroying it aborts it.
+ *
+ * @param options {Object} [optional] Options.
+ * @param options.channel {String} The channel to send the data on (default: "control").
+ * @return {stream.Writable} The stream. `streamId` is the id to give to the remote end.
+ */
+Session.prototype.openStream = function (options) {
+    if (!this.hasFeature("streams")) {
+        throw new Error("The remote end does not support streams");
+    }
+
+    var session = this;
+    var streamId = ++this.lastStreamId;
+    var channelName = (options && options.channel) || messaging.defaultChannel;
+
+    var writable = new stream.Writable({
+        write: function (chunk, encoding, callback) {
+            session.sendStreamData(streamId, chunk, channelName, callback);
+        },
+        final: function (callback) {
+            delete session.outgoingStreams[streamId];
+            session.sendMessage({
+                streamEnd: streamId
+            }, channelName);
+            callback();
+        },
+        destroy: function (err, callback) {
+            if (session.outgoingStreams[streamId]) {
+                delete session.outgoingStreams[streamId];
+                if (!writable.remoteAborted) {
+                    session.sendMessage({
+                        streamAbort: streamId,
+                        message: err ? err.message : "destroyed"
+                    }, channelName);
+                }
+            }
+            callback(err);
+        }
+    });
+
+    writable.streamId = streamId;
+    this.outgoingStreams[streamId] = writable;
+    return writable;
+};
+
+/**
+ * Sends some stream data, split into chunks small enough for a frame.
+ *
+ * @param streamId {Number} The stream id.
+ * @param data {Buffer} The data.
+ * @param channelName {String} The channel to send it on.
+ * @param callback {Function} Called when more data can be sent.
+ */
+Session.prototype.sendStreamData = function (streamId, data, channelName, callback) {
+    if (this.closed) {
+        callback(new Error("Session is closed"));
+        return;
+    }
+
+    var chunkSize = Math.min(messaging.streamDefaults.chunkSize,
+        this.frameOptions.maxSize - messaging.streamHeaderBytes);
+
+    for (var offset = 0; offset < data.length; offset += chunkSize) {
+        var chunk = data.slice(offset, offset + chunkSize);
+        var payload = Buffer.alloc(chunk.length + messaging.streamHeaderBytes);
+        payload[0] = messaging.streamFrameMarker;
+        payload.writeUInt32LE(streamId, 1);
+        chunk.copy(payload, messaging.streamHeaderBytes);
+        this.writeFrame(messaging.createFrame(payload, this.frameOptions), null, this.channels[channelName]);
+    }
 
-    this.pipe.write(message, "utf8");
+    if (this.writeBlocked) {
+        // Wait for the pipe to drain, so the stream doesn't fill the queue.
+        this.once("flushed", function () {
+            callback();
+        });
+    } else {
+        callback();
+    }
+};
+
+/**
+ * Gets the stream for reading the data of a stream that the remote end has opened.
+ *
+ * Any data received before this is called is held by the stream (including the end of the stream, or an abort).
+ * Destroying the stream tells the remote end to stop sending.
+ *
+ * @param streamId {Number} The stream id, from the remote end.
+ * @return {stream.Readable} The stream, or null if the stream has already finished.
+ */
+Session.prototype.acceptStream = function (streamId) {
+    var readable = this.getIncomingStream(streamId);
+    var outcome = this.finishedIncomingStreams[streamId];
+    if (!readable && (outcome === "end" || outcome instanceof Error)) {
+        // It finished before any data arrived.
+        this.finishedIncomingStreams[streamId] = true;
+        readable = new stream.Readable({
+            read: function () {}
+        });
+        readable.streamId = streamId;
+        if (outcome === "end") {
+            readable.push(null);
+        } else {
+            process.nextTick(function () {
+                readable.destroy(outcome);
+            });
+        }
+    } else if (readable && readable.pendingError) {
+        // It was aborted before being accepted; let the caller add its listeners first.
+        var err = readable.pendingError;
+        readable.pendingError = null;
+        this.finishIncomingStream(streamId);
+        process.nextTick(function () {
+            readable.destroy(err);
+        });
+    }
+    return readable;
+};
+
+/**
+ * Gets (or creates) an incoming stream.
+ *
+ * @param streamId {Number} The stream id.
+ * @return {stream.Readable} The stream, or null if the stream has finished.
+ */
+Session.prototype.getIncomingStream = function (streamId) {
+    var session = this;
+    var readable = this.incomingStreams[streamId];
+
+    if (!readable && !this.finishedIncomingStreams[streamId]
+        && Object.keys(this.incomingStreams).length >= messaging.streamDefaults.maxIncoming) {
+        // Too many open streams; tell the remote end to stop sending this one.
+        this.finishIncomingStream(streamId);
+        this.sendMessage({
+            streamAbort: streamId,
+            reader: true,
+            message: "Too many open streams"
+        });
+    } else if (!readable && !this.finishedIncomingStreams[streamId]) {
+        readable = new stream.Readable({
+            highWaterMark: messaging.streamDefaults.maxBuffered,
+            read: function () {},
+            destroy: function (err, callback) {
+                if (session.incomingStreams[streamId] === readable) {
+                    // Stopped reading before the end.
+                    session.finishIncomingStream(streamId);
+                    session.sendMessage({
+                        streamAbort: streamId,
+                        reader: true,
+                        message: err ? err.message : "destroyed"
+                    });
+                }
+                callback(err);
+            }
+        });
+        readable.streamId = streamId;
+        readable.on("end", function () {
+            session.finishIncomingStream(streamId);
+        });
+        this.incomingStreams[streamId] = readable;
+    }
+
+    return readable || null;
+};
+
+/**
+ * Marks an incoming stream as finished.
+ *
+ * @param streamId {Number} The stream id.
+ * @param outcome {String|Error} [optional] How a stream that was never opened finished: "end", or the abort error (so
+ *  it can still be accepted).
+ */
+Session.prototype.finishIncomingStream = function (streamId, outcome) {
+    delete this.incomingStreams[streamId];
+    if (!this.finishedIncomingStreams[streamId]) {
+        this.finishedIncomingStreams[streamId] = outcome || true;
+        this.finishedIncomingOrder.push(streamId);
+        if (this.finishedIncomingOrder.length > messaging.streamDefaults.maxFinished) {
+            delete this.finishedIncomingStreams[this.finishedIncomingOrder.shift()];
+        }
+    }
+};
+
+/**
+ * Gets the amount of unread data held for all incoming streams.
+ *
+ * @return {Number} The number of bytes.
+ */
+Session.prototype.getIncomingBuffered = function () {
+    var streams = this.incomingStreams;
+    return Object.keys(streams).reduce(function (total, streamId) {
+        return total + streams[streamId].readableLength;
+    }, 0);
+};
+
+/**
+ * Called when a stream data frame has been received.
+ *
+ * @param payload {Buffer} The frame payload.
+ */
+Session.prototype.gotStreamData = function (payload) {
+    if (payload.length < messaging.streamHeaderBytes) {
+        this.protocolError("Stream data frame of " + payload.length + " bytes is too short", {
+            code: "invalid-frame"
+        });
+        return;
+    }
+
+    var streamId = payload.readUInt32LE(1);
+    var readable = this.getIncomingStream(streamId);
+    if (readable) {
+        readable.push(payload.slice(messaging.streamHeaderBytes));
+        if (readable.readableLength > messaging.streamDefaults.maxBuffered) {
+            destroyStream(readable, new Error("Too much unread data for stream " + streamId));
+        } else if (this.getIncomingBuffered() > messaging.streamDefaults.maxTotalBuffered) {
+            destroyStream(readable, new Error("Too much unread data for all streams"));
+        }
+    }
+};
+
+/**
+ * Called when the remote end has finished writing to a stream.
+ *
+ * @param streamId {Number} The stream id.
+ * @param err {Error} [optional] The error, if the stream was aborted.
+ */
+Session.prototype.endIncomingStream = function (streamId, err) {
+    var readable = this.incomingStreams[streamId];
+    if (!readable) {
+        // No data was sent (or it's an unknown stream). A stream isn't opened just to hold the ending; it's remembered
+        // with the other finished streams instead.
+        this.finishIncomingStream(streamId, err || "end");
+        return;
+    }
+
+    if (!err) {
+        // It's finished after everything has been read.
+        readable.push(null);
+    } else if (readable.listenerCount("error") > 0) {
+        this.finishIncomingStream(streamId);
+        readable.destroy(err);
+    } else {
+        // Not accepted yet.
+        readable.pendingError = err;
+    }
+};
+
+/**
+ * Closes the session. Pending requests are rejected, and requests being handled are aborted.
+ */
+Session.prototype.close = function () {
+    if (!this.closed) {
+        this.closed = true;
+        this.stopHeartbeat();
+        this.outQueueBytes = 0;
+        Object.keys(this.channels).forEach(function (name) {
+            var channel = this.channels[name];
+            channel.queue = [];
+            channel.queueBytes = 0;
+            if (!channel.closed) {
+                channel.closed = true;
+                channel.emit("close");
+            }
+        }, this);
+
+        var closedError = new Error("Session closed");
+        var streams = this.outgoingStreams;
+        this.outgoingStreams = {};
+        Object.keys(streams).forEach(function (streamId) {
+            destroyStream(streams[streamId], closedError);
+        });
+        streams = this.incomingStreams;
+        this.incomingStreams = {};
+        Object.keys(streams).forEach(function (streamId) {
+            destroyStream(streams[streamId], closedError);
+        });
+
+        Object.keys(this.pendingRequests).forEach(function (requestId) {
+            this.handleReply(requestId, new Error("Session closed"));
+        }, this);
+
+        // Stop working on requests for the remote end, since it can't receive the result.
+        Object.keys(this.activeRequests).forEach(function (requestId) {
+            this.abortRequest(requestId, closedError);
+        }, this);
+
+        if (this.recorder) {
+            this.recorder.close();
+        }
+
+        this.pipe.end();
+        this.emit("close");
+    }
 };
 
 module.exports = messaging;
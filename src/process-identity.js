@@ -0,0 +1,192 @@
+/* Identifies processes by more than their pid.
+ *
+ * Copyright 2017 Raising the Floor - International
+ *
+ * Licensed under the New BSD license. You may not use this file except in
+ * compliance with this License.
+ *
+ * The R&D leading to these results received funding from the
+ * Department of Education - Grant H421A150005 (GPII-APCP). However,
+ * these results do not necessarily represent the policy of the
+ * Department of Education, and you should not assume endorsement by the
+ * Federal Government.
+ *
+ * You may obtain a copy of the License at
+ * https://github.com/GPII/universal/blob/master/LICENSE.txt
+ */
+
+"use strict";
+
+/*
+A pid can be re-used by a new process after the original has terminated. The identity of a process is its pid, start
+time, and executable path:
+{
+    pid: 1234,
+    startTime: 1500000000000,   // Only comparable with other identities from the same machine.
+    path: "c:\\...\\gpii-app.exe"   // null if it can't be read.
+}
+
+The lookup uses the windows module on Windows, and /proc on Linux. Elsewhere, only the pid is known (and the parent
+of a process isn't).
+*/
+
+var fs = require("fs"),
+    path = require("path");
+
+var processIdentity = exports;
+
+/**
+ * Gets the identity of a process.
+ *
+ * @param pid {Number} The pid.
+ * @return {Object} The identity, or null if there's no such process.
+ */
+processIdentity.get = function (pid) {
+    var identity;
+    if (!pid) {
+        identity = null;
+    } else if (process.platform === "win32") {
+        identity = require("./windows.js").getProcessIdentity(pid);
+    } else if (process.platform === "linux") {
+        identity = processIdentity.getProcIdentity(pid);
+    } else {
+        identity = processIdentity.isRunning(pid) ? { pid: pid, startTime: null, path: null } : null;
+    }
+    return identity;
+};
+
+/**
+ * Gets the identity of a process, using /proc on Linux. The start time is in clock ticks since boot (field 22 of
+ * /proc/PID/stat).
+ *
+ * @param pid {Number} The pid.
+ * @return {Object} The identity, or null if there's no such process.
+ */
+processIdentity.getProcIdentity = function (pid) {
+    var stat;
+    try {
+        stat = fs.readFileSync(path.join("/proc", pid.toString(), "stat"), "utf8");
+    } catch (e) {
+        return null;
+    }
+
+    // The second field is the command name in brackets, which can contain anything. The third field (state) starts
+    // after the last ')'.
+    var fields = stat.substr(stat.lastIndexOf(")") + 2).split(" ");
+    var startTime = parseInt(fields[22 - 3]);
+
+    var exePath;
+    try {
+        exePath = fs.readlinkSync(path.join("/proc", pid.toString(), "exe"));
+    } catch (e) {
+        // Another user's process.
+        exePath = null;
+    }
+
+    return {
+        pid: pid,
+        startTime: startTime,
+        path: exePath
+    };
+};
+
+/**
+ * Determines if a pid is a running process.
+ *
+ * @param pid {Number} The pid.
+ * @return {Boolean} true if it's running.
+ */
+processIdentity.isRunning = function (pid) {
+    var running = false;
+    if (pid) {
+        try {
+            // No error means the process is running.
+            process.kill(pid, 0);
+            running = true;
+        } catch (e) {
+            // EPERM means it's running, but owned by someone else.
+            running = e.code === "EPERM";
+        }
+    }
+    return running;
+};
+
+/**
+ * Compares two executable paths. Paths are case-insensitive on Windows.
+ *
+ * @param a {String} A path.
+ * @param b {String} Another path.
+ * @return {Boolean} true if they're the same.
+ */
+processIdentity.samePath = function (a, b) {
+    return process.platform === "win32"
+        ? !!a && !!b && path.normalize(a).toLowerCase() === path.normalize(b).toLowerCase()
+        : a === b;
+};
+
+/**
+ * Determines if two identities are of the same process.
+ *
+ * @param a {Object} An identity.
+ * @param b {Object} Another identity.
+ * @return {Boolean} true if they're the same process.
+ */
+processIdentity.equals = function (a, b) {
+    return !!a && !!b && a.pid === b.pid && a.startTime === b.startTime && processIdentity.samePath(a.path, b.path);
+};
+
+/**
+ * Determines if the process with an identity is still running, and hasn't been replaced by another with the same pid.
+ *
+ * @param identity {Object} The identity.
+ * @return {Boolean} true if it's running.
+ */
+processIdentity.isSameProcessRunning = function (identity) {
+    return !!identity && processIdentity.equals(identity, processIdentity.get(identity.pid));
+};
+
+/**
+ * Gets the parent of a process, using /proc on Linux.
+ *
+ * @param pid {Number} The pid.
+ * @return {Number} The parent pid, or null if it's not known.
+ */
+processIdentity.getProcParentPid = function (pid) {
+    var stat;
+    try {
+        stat = fs.readFileSync(path.join("/proc", pid.toString(), "stat"), "utf8");
+    } catch (e) {
+        return null;
+    }
+    // The parent pid is field 4, after the state.
+    var fields = stat.substr(stat.lastIndexOf(")") + 2).split(" ");
+    return parseInt(fields[4 - 3]) || null;
+};
+
+/**
+ * Determines if a process is a descendant of another.
+ *
+ * @param childPid {Number} The child pid.
+ * @param parentPid {Number} The possible parent (or grand-parent, etc) pid.
+ * @param depth {Number} [optional] How many generations to check (default: 5).
+ * @return {Boolean} true if parentPid is an ancestor of childPid. Always false where the parent isn't known.
+ */
+processIdentity.isParentPid = function (childPid, parentPid, depth) {
+    if (process.platform === "win32") {
+        return require("./windows.js").isParentPid(childPid, parentPid, depth);
+    } else if (process.platform !== "linux") {
+        return false;
+    }
+
+    depth = depth || 5;
+    var pid = childPid;
+    var found = false;
+    while (pid && depth-- > 0) {
+        pid = processIdentity.getProcParentPid(pid);
+        if (pid === parentPid) {
+            found = true;
+            break;
+        }
+    }
+    return found;
+};
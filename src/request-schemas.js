@@ -0,0 +1,225 @@
+/* Definitions of the request types.
+ *
+ * Copyright 2017 Raising the Floor - International
+ *
+ * Licensed under the New BSD license. You may not use this file except in
+ * compliance with this License.
+ *
+ * The R&D leading to these results received funding from the
+ * Department of Education - Grant H421A150005 (GPII-APCP). However,
+ * these results do not necessarily represent the policy of the
+ * Department of Education, and you should not assume endorsement by the
+ * Federal Government.
+ *
+ * You may obtain a copy of the License at
+ * https://github.com/GPII/universal/blob/master/LICENSE.txt
+ */
+
+"use strict";
+
+/*
+Each request type is defined by:
+{
+    handledBy: "service",   // Which end handles the request: "service", "application", or "both".
+    description: "...",     // Documentation (markdown).
+    notes: "...",           // More documentation, after the examples (optional).
+    data: { ... },          // Schema of the request data (see message-schema.js). Incoming requests are checked.
+    response: { ... }       // Schema of the response data.
+}
+
+The "Request types" section of protocol.md is generated from these, with `node index.js --mode=protocol-docs`.
+*/
+
+var eventsSchema = {
+    type: ["array", "string"],
+    items: { type: "string" },
+    example: [ "svc-sessionchange", "gpiiProcess.*", "stop" ]
+};
+
+module.exports = {
+    ping: {
+        handledBy: "both",
+        description: "Heartbeat, sent periodically to check the remote end is responsive. Handled by the session "
+            + "itself. Any reply (even an `Error`) counts as a response.",
+        response: {
+            type: "object",
+            properties: {
+                time: {
+                    type: "number",
+                    description: "The time on the remote end (ms since epoch).",
+                    example: 1500000000000
+                }
+            }
+        }
+    },
+
+    subscribe: {
+        handledBy: "service",
+        description: "Subscribe to service events, which are sent as notifications. A `*` in the event name matches "
+            + "any characters, for example `gpiiProcess.*`.",
+        notes: "The notifications look like this:\n\n"
+            + "```javascript\n"
+            + "{\n"
+            + "    notify: \"svc-sessionchange\",\n"
+            + "    data: {\n"
+            + "        args: [ \"session-lock\", null ]  // The event arguments.\n"
+            + "    }\n"
+            + "}\n"
+            + "```\n\n"
+            + "Subscriptions are removed when the connection is closed (unless it's replaced with `reconnect`).",
+        data: {
+            type: "object",
+            required: ["events"],
+            properties: {
+                events: Object.assign({ description: "The event names." }, eventsSchema)
+            }
+        },
+        response: {
+            type: "object",
+            properties: {
+                subscriptions: Object.assign({ description: "All current subscriptions." }, eventsSchema)
+            }
+        }
+    },
+
+    unsubscribe: {
+        handledBy: "service",
+        description: "Remove subscriptions, using the same names as `subscribe`. All subscriptions are removed if "
+            + "`events` is omitted.",
+        data: {
+            type: ["object", "null"],
+            properties: {
+                events: Object.assign({ description: "The event names." }, eventsSchema, { example: ["gpiiProcess.*"] })
+            }
+        },
+        response: {
+            type: "object",
+            properties: {
+                subscriptions: Object.assign({ description: "The remaining subscriptions." }, eventsSchema,
+                    { example: ["svc-sessionchange", "stop"] })
+            }
+        }
+    },
+
+    reconnect: {
+        handledBy: "service",
+        description: "Attach a new connection to the service, after the inherited pipe has broken. GPII connects to "
+            + "the rendezvous address (`host:port` on the loopback interface, in the `GPII_SERVICE_RENDEZVOUS` "
+            + "environment variable it was started with), and sends this request first (it's the only request "
+            + "accepted until then). The request must be authenticated with the secret given to GPII when it was "
+            + "started.",
+        notes: "The service checks that the process at the other end of the connection is the GPII process that it "
+            + "started, and has the pid in the request. It then uses the new connection instead of the old one. "
+            + "Subscriptions made on the old connection are kept.",
+        data: {
+            type: "object",
+            required: ["pid"],
+            properties: {
+                pid: { type: "integer", description: "The pid of GPII.", example: 1234 }
+            }
+        },
+        response: {
+            type: "object",
+            properties: {
+                pid: { type: "integer", description: "The pid of GPII, as known by the service.", example: 1234 }
+            }
+        }
+    },
+
+    getStatus: {
+        handledBy: "service",
+        description: "Get the status of the GPII process, as seen by the service.",
+        response: {
+            type: "object",
+            properties: {
+                pid: { type: ["integer", "null"], description: "The pid of GPII.", example: 1234 },
+                starting: { type: "boolean", description: "GPII is being started.", example: false },
+                restartCount: { type: "integer", description: "Number of failed starts.", example: 0 }
+            }
+        }
+    },
+
+    getAppStatus: {
+        handledBy: "service",
+        description: "Get the status of the applications managed by the service (GPII, and any others configured "
+            + "with `--apps`).",
+        data: {
+            type: ["object", "null"],
+            properties: {
+                name: { type: "string", description: "Only get the status of this application.", example: "gpii" }
+            }
+        },
+        response: {
+            type: "object",
+            properties: {
+                apps: {
+                    type: "array",
+                    description: "The status of each application.",
+                    items: {
+                        type: "object",
+                        properties: {
+                            name: { type: "string", description: "The application name.", example: "gpii" },
+                            pid: { type: ["integer", "null"], description: "The pid.", example: 1234 },
+                            starting: { type: "boolean", description: "It's being started.", example: false },
+                            restartCount: { type: "integer", description: "Number of failed starts.", example: 0 },
+                            lastExitCode: {
+                                type: ["integer", "null"],
+                                description: "The exit code of the last process, if known.",
+                                example: 0
+                            },
+                            lastSignal: {
+                                type: ["string", "null"],
+                                description: "The signal that terminated the last process (not on Windows).",
+                                example: null
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    },
+
+    shutdown: {
+        handledBy: "application",
+        description: "Ask the application to shut down, because the service is stopping, the computer is shutting "
+            + "down, or the user is logging off. It should reply straight away, then save its state and exit.",
+        notes: "If the application hasn't exited within the grace period (`--shutdownGracePeriod`, 20 seconds for "
+            + "GPII), or replies with an error, it's terminated.",
+        data: {
+            type: "object",
+            properties: {
+                reason: {
+                    type: "string",
+                    description: "Why: `service-stop`, `shutdown`, `logoff`, `requested`, or the session change "
+                        + "event that stopped it (for example, `remote-connect`).",
+                    example: "logoff"
+                }
+            }
+        }
+    },
+
+    sessionChange: {
+        handledBy: "application",
+        description: "Tells the application that the user's session has changed, for the session change events "
+            + "configured with the `notify` action (by default: lock, unlock, and console and remote connects and "
+            + "disconnects).",
+        notes: "Only sent if the application has `sessionChange` in the `requestTypes` of its handshake.",
+        data: {
+            type: "object",
+            required: ["event"],
+            properties: {
+                event: {
+                    type: "string",
+                    description: "The event: `session-lock`, `session-unlock`, `console-connect`, "
+                        + "`console-disconnect`, `remote-connect`, `remote-disconnect`, or another session change.",
+                    example: "session-lock"
+                },
+                restartsPaused: {
+                    type: "boolean",
+                    description: "The service won't restart the application if it stops, until restarts are resumed.",
+                    example: false
+                }
+            }
+        }
+    }
+};
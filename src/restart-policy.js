@@ -0,0 +1,184 @@
+/* Decides when a stopped application is restarted.
+ *
+ * Copyright 2017 Raising the Floor - International
+ *
+ * Licensed under the New BSD license. You may not use this file except in
+ * compliance with this License.
+ *
+ * The R&D leading to these results received funding from the
+ * Department of Education - Grant H421A150005 (GPII-APCP). However,
+ * these results do not necessarily represent the policy of the
+ * Department of Education, and you should not assume endorsement by the
+ * Federal Government.
+ *
+ * You may obtain a copy of the License at
+ * https://github.com/GPII/universal/blob/master/LICENSE.txt
+ */
+
+"use strict";
+
+/*
+The delay before each restart grows exponentially (initialDelay × multiplier^n, up to maxDelay, with some random
+jitter), until the application has run for long enough to be deemed healthy.
+
+A run shorter than `healthyAfter` is a failure. When there have been `maxFailures` failures within `failureWindow`,
+the policy stops restarting for the `coolOff` period, after which it tries again with a clean slate. With no coolOff,
+it gives up for good.
+
+An application can say what should happen next with its exit code, when it's in `exitCodes`:
+    "stop"          It has stopped on purpose, so don't restart it.
+    "restart"       It has crashed (the same as any exit code not in `exitCodes`, without the exit code heuristic).
+    "restart-now"   Restart it straight away. It's not a failure, unless the run was shorter than `healthyAfter` (so
+                    an application that keeps asking during start-up is throttled like any other failure).
+*/
+
+var restartPolicy = exports;
+
+// The default policy. Times are in milliseconds.
+restartPolicy.defaults = {
+    // The delay before the first restart.
+    initialDelay: 1000,
+    // The delay is multiplied by this for each consecutive restart.
+    multiplier: 2,
+    // The delay is randomly adjusted by up to this fraction of itself (0.1 = ±10%).
+    jitter: 0.1,
+    // The longest delay.
+    maxDelay: 60000,
+    // The number of failures, within failureWindow, after which restarting stops for the coolOff period.
+    maxFailures: 3,
+    failureWindow: 5 * 60000,
+    // A run at least this long is healthy, which resets the backoff.
+    healthyAfter: 20000,
+    // How long to wait after too many failures, before trying again. 0 to give up for good.
+    coolOff: 30 * 60000,
+    // What to do for specific exit codes, keyed by exit code: "stop", "restart", or "restart-now".
+    exitCodes: {}
+};
+
+// The actions that can be given to an exit code.
+restartPolicy.exitActions = ["stop", "restart", "restart-now"];
+
+/**
+ * Tracks the starts and stops of an application, to decide if and when it's restarted.
+ *
+ * @param options {Object} [optional] The policy (see restartPolicy.defaults).
+ * @param options.random {Function} [optional] Returns a random number between 0 and 1 (default: Math.random).
+ * @constructor
+ */
+function RestartPolicy(options) {
+    this.options = Object.assign({}, restartPolicy.defaults, options);
+    this.random = this.options.random || Math.random;
+
+    var exitCodes = this.options.exitCodes || {};
+    Object.keys(exitCodes).forEach(function (exitCode) {
+        if (restartPolicy.exitActions.indexOf(exitCodes[exitCode]) < 0) {
+            throw new Error("Unknown action '" + exitCodes[exitCode] + "' for exit code " + exitCode);
+        }
+    });
+
+    this.reset();
+}
+
+restartPolicy.RestartPolicy = RestartPolicy;
+
+/**
+ * Forgets the previous starts and failures.
+ */
+RestartPolicy.prototype.reset = function () {
+    // When it was last started.
+    this.lastStart = null;
+    // The times of the recent failures.
+    this.failures = [];
+    // The number of restarts since the last healthy run.
+    this.attempt = 0;
+};
+
+/**
+ * Records the start of the application.
+ *
+ * @param now {Number} [optional] The current time (default: Date.now()).
+ */
+RestartPolicy.prototype.started = function (now) {
+    this.lastStart = now === undefined ? Date.now() : now;
+};
+
+/**
+ * Gets the action for the exit code of the application (see restartPolicy.exitActions).
+ *
+ * @param exitStatus {Object} [optional] The `exitCode` (and `signal`) of the process.
+ * @return {String} The action, or null if there isn't one for the exit code.
+ */
+RestartPolicy.prototype.getExitAction = function (exitStatus) {
+    var exitCodes = this.options.exitCodes || {};
+    var exitCode = exitStatus && exitStatus.exitCode;
+    return (exitCode !== null && exitCode !== undefined && exitCodes.hasOwnProperty(exitCode))
+        ? exitCodes[exitCode]
+        : null;
+};
+
+/**
+ * Gets the number of failures within the failure window.
+ *
+ * @param now {Number} [optional] The current time (default: Date.now()).
+ * @return {Number} The number of recent failures.
+ */
+RestartPolicy.prototype.getFailureCount = function (now) {
+    now = now === undefined ? Date.now() : now;
+    var windowStart = now - this.options.failureWindow;
+    this.failures = this.failures.filter(function (time) {
+        return time > windowStart;
+    });
+    return this.failures.length;
+};
+
+/**
+ * Gets the delay before the next restart, and moves on to the next attempt.
+ *
+ * @return {Number} The delay, in milliseconds.
+ */
+RestartPolicy.prototype.nextDelay = function () {
+    var options = this.options;
+    var delay = Math.min(options.maxDelay, options.initialDelay * Math.pow(options.multiplier, this.attempt));
+    if (options.jitter) {
+        delay += delay * options.jitter * (this.random() * 2 - 1);
+    }
+    this.attempt++;
+    return Math.max(0, Math.round(delay));
+};
+
+/**
+ * Decides what to do after the application has stopped unexpectedly.
+ *
+ * The result has `action`:
+ *  "restart" Restart it after `delay` ms.
+ *  "cool-off" It's failed too often: restart it after the cool-off period (`delay` ms).
+ *  "give-up" It's failed too often: don't restart it.
+ *
+ * @param now {Number} [optional] The current time (default: Date.now()).
+ * @return {Object} The action and the delay.
+ */
+RestartPolicy.prototype.stopped = function (now) {
+    now = now === undefined ? Date.now() : now;
+    var options = this.options;
+    var runTime = this.lastStart === null ? 0 : now - this.lastStart;
+
+    if (runTime >= options.healthyAfter) {
+        this.attempt = 0;
+    } else {
+        this.failures.push(now);
+    }
+
+    var result;
+    if (this.getFailureCount(now) < options.maxFailures) {
+        result = { action: "restart", delay: this.nextDelay() };
+    } else if (options.coolOff > 0) {
+        // Start afresh after cooling off.
+        this.failures = [];
+        this.attempt = 0;
+        result = { action: "cool-off", delay: options.coolOff };
+    } else {
+        result = { action: "give-up", delay: null };
+    }
+
+    return result;
+};
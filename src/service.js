@@ -19,8 +19,13 @@
 
 var os_service = require("os-service"),
     events = require("events"),
+    Promise = require("bluebird"),
     logging = require("./logging.js"),
-    parseArgs = require("minimist");
+    messaging = require("./pipe-messaging.js"),
+    messageSchema = require("./message-schema.js"),
+    requestSchemas = require("./request-schemas.js"),
+    parseArgs = require("minimist"),
+    path = require("path");
 
 var service = new events.EventEmitter();
 
@@ -29,6 +34,9 @@ service.isService = false;
 
 service.args = parseArgs(process.argv.slice(2));
 
+// The service's data directory (%ProgramData%\GPII).
+service.dataDir = path.join(process.env.ProgramData || "", "GPII");
+
 /**
  * Called when the service has just started.
  */
@@ -44,12 +52,37 @@ service.start = function () {
     service.log("service start");
 };
 
+// How long to wait for things to finish (see waitBeforeStop) before the service stops.
+service.stopTimeout = 30000;
+
+// The things to finish before the service stops.
+service.pendingStop = [];
+
 /**
- * Stop the service.
+ * Stop the service. The "stop" event is emitted, and the service stops once the work passed to waitBeforeStop by the
+ * listeners has finished (or after stopTimeout).
+ *
+ * @return {Promise} Resolves when the service is about to stop.
  */
 service.stop = function () {
+    service.pendingStop = [];
     service.event("stop");
-    os_service.stop();
+
+    return Promise.all(service.pendingStop).timeout(service.stopTimeout).then(null, function (err) {
+        service.logWarn("Stopping the service without waiting:", err.message);
+    }).then(function () {
+        service.log("service stop");
+        os_service.stop();
+    });
+};
+
+/**
+ * Delays the stopping of the service until some work has finished. For use by "stop" event listeners.
+ *
+ * @param promise {Promise} Resolves when the work has finished.
+ */
+service.waitBeforeStop = function (promise) {
+    service.pendingStop.push(promise);
 };
 
 /**
@@ -91,12 +124,79 @@ service.module = function (name, initial) {
             var eventName = name === "service" ? event : name + "." + event;
             service.logDebug("EVENT", eventName, arg1, arg2);
             service.emit(eventName, arg1, arg2);
+            // Also emit a catch-all event, for things that are interested in every event.
+            service.emit("*", eventName, arg1, arg2);
+        };
+        /**
+         * Registers a handler for a type of request from GPII.
+         *
+         * @param requestType {String} The request type.
+         * @param handler {Function(data,request,session)} Returns the response data (or a promise resolving to it),
+         *  or throws.
+         */
+        mod.handle = function (requestType, handler) {
+            service.addRequestHandler(requestType, handler, name);
         };
         service.modules[name] = mod;
     }
     return mod;
 };
 service.modules = { };
+
+// Handlers for requests from GPII, keyed by request type.
+service.requestHandlers = { };
+
+/**
+ * Registers a handler for a type of request from GPII.
+ *
+ * @param requestType {String} The request type.
+ * @param handler {Function(data,request,session)} Returns the response data (or a promise resolving to it), or throws.
+ * @param moduleName {String} [optional] The module that handles the request.
+ *
+ * `request.signal` (a RequestSignal) tells the handler when the request has been cancelled, passed its deadline, or
+ * GPII has disconnected.
+ */
+service.addRequestHandler = function (requestType, handler, moduleName) {
+    if (service.requestHandlers[requestType]) {
+        throw new Error("A handler for request type '" + requestType + "' is already registered by "
+            + service.requestHandlers[requestType].moduleName);
+    }
+    service.requestHandlers[requestType] = {
+        handler: handler,
+        moduleName: moduleName || "service"
+    };
+};
+
+/**
+ * Handles a request from GPII, by passing it to the handler registered for the request type. This is the
+ * requestHandler of the messaging session.
+ *
+ * The request data is checked against the schema of the request type (in request-schemas.js) first.
+ *
+ * @param requestType {String} The request type.
+ * @param data {Object} The request data.
+ * @param request {Object} The request message.
+ * @param session {Session} The messaging session the request came from.
+ * @return {Promise} Resolves with the response data, or rejects if the handler failed or the type is unknown.
+ */
+service.handleRequest = function (requestType, data, request, session) {
+    var entry = service.requestHandlers.hasOwnProperty(requestType) && service.requestHandlers[requestType];
+    return Promise.resolve().then(function () {
+        if (!entry) {
+            throw messaging.unknownRequestError(requestType);
+        }
+        var invalid = messageSchema.validateRequest(requestType, data, requestSchemas[requestType]);
+        if (invalid) {
+            throw invalid;
+        }
+        service.logDebug("Request", requestType, "handled by", entry.moduleName);
+        return entry.handler(data, request, session);
+    }).then(null, function (err) {
+        service.logWarn("Request", requestType, "failed:", err.message);
+        throw err;
+    });
+};
+
 service.module("service", service);
 
 module.exports = service;
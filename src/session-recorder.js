@@ -0,0 +1,285 @@
+/* Records the frames of a messaging session, and plays them back.
+ *
+ * Copyright 2017 Raising the Floor - International
+ *
+ * Licensed under the New BSD license. You may not use this file except in
+ * compliance with this License.
+ *
+ * The R&D leading to these results received funding from the
+ * Department of Education - Grant H421A150005 (GPII-APCP). However,
+ * these results do not necessarily represent the policy of the
+ * Department of Education, and you should not assume endorsement by the
+ * Federal Government.
+ *
+ * You may obtain a copy of the License at
+ * https://github.com/GPII/universal/blob/master/LICENSE.txt
+ */
+
+"use strict";
+
+/*
+A recording is a text file, with a JSON object on each line. The first line describes the session:
+    { recording: 1, sessionType: "gpii", started: "2017-01-01T00:00:00.000Z", pid: 123 }
+Followed by a line for each frame:
+    { time: 12, dir: "in", payload: "base64..." }
+`time` is milliseconds since the recording started, `dir` is "in" (from the remote end) or "out", and `payload` is the
+frame without the length prefix.
+*/
+
+var fs = require("fs"),
+    path = require("path"),
+    util = require("util"),
+    EventEmitter = require("events"),
+    Promise = require("bluebird"),
+    messageEncoding = require("./message-encoding.js"),
+    messaging = require("./pipe-messaging.js");
+
+var recorder = exports;
+
+// Version of the recording file format.
+recorder.formatVersion = 1;
+
+/**
+ * Records frames to a file. Recording stops if the file can't be written.
+ *
+ * Events:
+ *  "error" (err) The file couldn't be opened or written.
+ *
+ * @param file {String} The file to write to.
+ * @param sessionType {String} [optional] The session type, for the header.
+ * @constructor
+ */
+function Recorder(file, sessionType) {
+    EventEmitter.call(this);
+    var rec = this;
+    this.file = file;
+    this.startTime = Date.now();
+    this.closed = false;
+    this.closePromise = null;
+    this.error = null;
+    this.stream = fs.createWriteStream(file, { flags: "a" });
+    this.stream.on("error", function (err) {
+        rec.closed = true;
+        rec.error = err;
+        rec.emit("error", err);
+    });
+    this.writeLine({
+        recording: recorder.formatVersion,
+        sessionType: sessionType,
+        started: new Date(this.startTime).toISOString(),
+        pid: process.pid
+    });
+}
+
+util.inherits(Recorder, EventEmitter);
+
+recorder.Recorder = Recorder;
+
+/**
+ * Writes a line to the recording.
+ *
+ * @param entry {Object} The entry.
+ */
+Recorder.prototype.writeLine = function (entry) {
+    this.stream.write(JSON.stringify(entry) + "\n");
+};
+
+/**
+ * Records a frame.
+ *
+ * @param direction {String} "in" or "out".
+ * @param payload {Buffer} The payload of the frame.
+ */
+Recorder.prototype.record = function (direction, payload) {
+    if (!this.closed) {
+        this.writeLine({
+            time: Date.now() - this.startTime,
+            dir: direction,
+            payload: payload.toString("base64")
+        });
+    }
+};
+
+/**
+ * Stops recording.
+ *
+ * @return {Promise} Resolves when the file has been written, or couldn't be (the error has been emitted).
+ */
+Recorder.prototype.close = function () {
+    var stream = this.stream;
+    if (!this.closePromise) {
+        this.closed = true;
+        this.closePromise = this.error
+            ? Promise.resolve()
+            : new Promise(function (resolve) {
+                stream.on("error", function () {
+                    resolve();
+                });
+                stream.end(resolve);
+            });
+    }
+    return this.closePromise;
+};
+
+/**
+ * Starts recording to a new file in the given directory.
+ *
+ * @param dir {String} The directory (created if it doesn't exist).
+ * @param sessionType {String} The session type.
+ * @return {Recorder} The recorder.
+ */
+recorder.createRecorder = function (dir, sessionType) {
+    try {
+        fs.mkdirSync(dir);
+    } catch (e) {
+        if (e.code !== "EEXIST") {
+            throw e;
+        }
+    }
+    var name = sessionType + "-" + new Date().toISOString().replace(/[:.]/g, "-") + "-" + process.pid + ".rec";
+    return new Recorder(path.join(dir, name), sessionType);
+};
+
+/**
+ * Reads a recording.
+ *
+ * @param file {String} The recording file.
+ * @return {Object} The header, and an `entries` array of {time, direction, payload, message}.
+ */
+recorder.readRecording = function (file) {
+    var lines = fs.readFileSync(file, "utf8").split("\n").filter(function (line) {
+        return line.trim();
+    });
+
+    var header = lines.length ? JSON.parse(lines.shift()) : {};
+    if (header.recording !== recorder.formatVersion) {
+        throw new Error(file + " is not a session recording");
+    }
+
+    header.entries = lines.map(function (line) {
+        var entry = JSON.parse(line);
+        var payload = Buffer.from(entry.payload, "base64");
+        return {
+            time: entry.time,
+            direction: entry.dir,
+            payload: payload,
+            message: recorder.decodePayload(payload)
+        };
+    });
+
+    return header;
+};
+
+/**
+ * Decodes the payload of a recorded frame. The encoding is identified by the payload (see message-encoding.js).
+ *
+ * @param payload {Buffer} The payload.
+ * @return {Object|String} The message, a description of stream data, or the text if it couldn't be decoded.
+ */
+recorder.decodePayload = function (payload) {
+    if (payload[0] === messaging.streamFrameMarker) {
+        return payload.length < messaging.streamHeaderBytes
+            ? { invalidFrame: payload.toString("hex") }
+            : {
+                streamData: payload.readUInt32LE(1),
+                length: payload.length - messaging.streamHeaderBytes
+            };
+    }
+    if (payload[0] === messaging.authFrameMarker) {
+        // The HMAC isn't checked; only the message is of interest.
+        payload = payload.slice(messaging.authHeaderBytes);
+    }
+    try {
+        return messageEncoding.decode(payload, "msgpack");
+    } catch (e) {
+        // A legacy hello is just the session type.
+        return payload.toString("utf8");
+    }
+};
+
+/**
+ * Generates a readable timeline of a recording.
+ *
+ * @param recording {Object} The recording, from readRecording.
+ * @return {String} The timeline.
+ */
+recorder.formatTimeline = function (recording) {
+    var lines = [
+        "Session '" + recording.sessionType + "' recorded by pid " + recording.pid + ", started " + recording.started
+    ];
+    recording.entries.forEach(function (entry) {
+        var time = "+" + (entry.time / 1000).toFixed(3) + "s";
+        var arrow = entry.direction === "in" ? "<-" : "->";
+        lines.push(time + " " + arrow + " " + JSON.stringify(entry.message));
+    });
+    return lines.join("\n");
+};
+
+/**
+ * Plays the requests received in a recording against a set of handlers, and compares the replies with those that were
+ * recorded.
+ *
+ * @param recording {Object} The recording, from readRecording.
+ * @param handlers {Object} Request handlers, keyed by request type: function (data, request), returning the response
+ *  data (or a promise resolving to it), or throwing.
+ * @return {Promise} Resolves with an array of {request, recorded, replayed, matched} for each request.
+ */
+recorder.replay = function (recording, handlers) {
+    var recordedReplies = {};
+    var requests = [];
+
+    recording.entries.forEach(function (entry) {
+        var message = entry.message;
+        if (!message || typeof(message) !== "object") {
+            return;
+        }
+        if (entry.direction === "in" && message.request !== undefined) {
+            requests.push(message);
+        } else if (entry.direction === "out" && message.response !== undefined) {
+            recordedReplies[message.response] = message;
+        } else if (entry.direction === "out" && message.error !== undefined) {
+            recordedReplies[message.error] = message;
+        }
+    });
+
+    return Promise.mapSeries(requests, function (request) {
+        return Promise.resolve().then(function () {
+            var handler = handlers[request.type];
+            if (!handler) {
+                throw messaging.unknownRequestError(request.type);
+            }
+            return handler(request.data, request);
+        }).then(function (data) {
+            return {
+                response: request.request,
+                data: data
+            };
+        }, function (err) {
+            return {
+                error: request.request,
+                message: err.message,
+                data: err.data
+            };
+        }).then(function (replayed) {
+            var recorded = recordedReplies[request.request] || null;
+            return {
+                request: request,
+                recorded: recorded,
+                replayed: replayed,
+                matched: !!recorded && recorder.sameReply(recorded, replayed)
+            };
+        });
+    });
+};
+
+/**
+ * Determines if two replies to a request are the same: both responses or both errors, with the same data.
+ *
+ * @param a {Object} A response or error message.
+ * @param b {Object} Another response or error message.
+ * @return {Boolean} true if the replies are the same.
+ */
+recorder.sameReply = function (a, b) {
+    return (a.response === undefined) === (b.response === undefined)
+        && JSON.stringify(a.data) === JSON.stringify(b.data);
+};
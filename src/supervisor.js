@@ -0,0 +1,1005 @@
+/* Manages the per-user applications started by the service.
+ *
+ * Copyright 2017 Raising the Floor - International
+ *
+ * Licensed under the New BSD license. You may not use this file except in
+ * compliance with this License.
+ *
+ * The R&D leading to these results received funding from the
+ * Department of Education - Grant H421A150005 (GPII-APCP). However,
+ * these results do not necessarily represent the policy of the
+ * Department of Education, and you should not assume endorsement by the
+ * Federal Government.
+ *
+ * You may obtain a copy of the License at
+ * https://github.com/GPII/universal/blob/master/LICENSE.txt
+ */
+
+"use strict";
+
+/*
+Each application is started as the desktop user, with a messaging session over the pipe it inherits. It's restarted if
+it stops unexpectedly, or stops responding to heartbeats.
+
+The events of an application are emitted on the ManagedApp, and as service events of this module with the application
+name as the first argument, for example "supervisor.started" ("gpii", 1234).
+*/
+
+var path = require("path"),
+    fs = require("fs"),
+    crypto = require("crypto"),
+    util = require("util"),
+    EventEmitter = require("events"),
+    Promise = require("bluebird"),
+    service = require("./service.js"),
+    ipc = require("./gpii-ipc.js"),
+    messaging = require("./pipe-messaging.js"),
+    sessionRecorder = require("./session-recorder.js"),
+    restartPolicy = require("./restart-policy.js"),
+    processIdentity = require("./process-identity.js"),
+    outputLog = require("./output-log.js"),
+    crashReports = require("./crash-reports.js"),
+    notifications = require("./notifications.js");
+
+// The Windows API is only loaded on Windows.
+var windows = process.platform === "win32" ? require("./windows.js") : null;
+
+var supervisor = service.module("supervisor");
+
+// The managed applications, keyed by name.
+supervisor.apps = {};
+
+// A JSON file of additional applications to manage, keyed by name (--apps).
+supervisor.configFile = service.args.apps;
+
+// Where crash reports are written (see crash-reports.js), and how many are kept.
+supervisor.crashReportDir = path.join(service.dataDir, "crash-reports");
+supervisor.maxCrashReports = 50;
+
+// Where the output of the applications is written (see output-log.js). It's in the service's data directory rather than
+// the user's, because the service writes, renames and deletes the files.
+supervisor.logDir = path.join(service.dataDir, "logs");
+
+// The messaging session events that are remembered, for crash reports.
+supervisor.sessionEventNames = [
+    "ready", "request", "notification", "heartbeat-missed", "unresponsive", "responsive", "stalled", "drain",
+    "message-dropped", "authentication-failed", "error", "close"
+];
+// The number of session events remembered.
+supervisor.maxSessionEvents = 50;
+
+/*
+What happens to the applications when the user's session changes, keyed by the session change event. Each is a list of
+actions, performed in order:
+    "start"             Start the application, if it's not running.
+    "stop"              Stop the application gracefully (it's not restarted).
+    "notify"            Send the application a "sessionChange" request, if it handles them.
+    "pause-restarts"    Don't restart the application if it stops unexpectedly, until "resume-restarts".
+    "resume-restarts"   Allow restarts again, restarting the application if it stopped while they were paused.
+The defaults suit a personal computer; they can be changed for every application with a JSON file (--sessionActions),
+or for a single application with its `sessionActions` configuration.
+*/
+supervisor.sessionActions = {
+    "session-logon": ["start"],
+    "session-logoff": ["stop"],
+    "session-lock": ["notify"],
+    "session-unlock": ["notify"],
+    "console-connect": ["notify"],
+    "console-disconnect": ["notify"],
+    "remote-connect": ["notify"],
+    "remote-disconnect": ["notify"]
+};
+
+// A JSON file of session actions, keyed by session change event, replacing those in supervisor.sessionActions.
+supervisor.sessionActionsFile = service.args.sessionActions;
+
+// Default configuration of an application.
+supervisor.appDefaults = {
+    // The command line.
+    command: null,
+    // Additional environment variables.
+    env: {},
+    // The working directory.
+    currentDir: null,
+    // The transport of the connection (see transports.js).
+    transport: undefined,
+    // The restart policy (see restart-policy.js). `enabled: false` to never restart the application.
+    restart: Object.assign({ enabled: true }, restartPolicy.defaults),
+    session: {
+        // The session type (default: the application name).
+        type: null,
+        // Heartbeat options (see Session.startHeartbeat). An interval of 0 disables heartbeats.
+        heartbeat: {
+            interval: 30000,
+            timeout: 10000,
+            missLimit: 3
+        },
+        // Kill (and restart) the application when it stops responding to heartbeats.
+        restartUnresponsive: true,
+        // Record the messaging sessions to the "recordings" directory of the data directory.
+        record: false
+    },
+    shutdown: {
+        // How long (ms) the application has to exit after being asked to, before it's terminated.
+        gracePeriod: 10000
+    },
+    output: {
+        // Write the stdout and stderr of the application to a log file.
+        capture: true,
+        // The directory of the log files (default: supervisor.logDir).
+        dir: null,
+        // Rotate the log file at this size (bytes), keeping this many old files.
+        maxSize: outputLog.defaults.maxSize,
+        maxFiles: outputLog.defaults.maxFiles
+    },
+    // Session actions for this application, replacing those in supervisor.sessionActions for the given events.
+    sessionActions: {}
+};
+
+/**
+ * An application managed by the supervisor.
+ *
+ * Events (also emitted as "supervisor.<event>" service events, with the application name first):
+ *  "started" (pid) The application has started.
+ *  "start-failed" (message) The application could not be started.
+ *  "stopped" (pid) The application has stopped.
+ *  "restarting" (delay) The application will be restarted, after stopping unexpectedly.
+ *  "cooling-off" (delay) The application has failed too often, and will be restarted after the cool-off period.
+ *  "gave-up" The application has failed too often, and won't be restarted.
+ *  "restart-paused" The application is due to be restarted, but restarts are paused (see pauseRestarts).
+ *  "crashed" (reportFile) The application stopped unexpectedly, and a crash report has been written.
+ *  "unresponsive" (pid) The application has stopped responding to heartbeats.
+ *  "session" (session) A messaging session with the application has been attached. The service event is passed the
+ *    pid instead.
+ *
+ * @param name {String} The application name.
+ * @param config {Object} The configuration (see supervisor.appDefaults).
+ * @constructor
+ */
+function ManagedApp(name, config) {
+    EventEmitter.call(this);
+    config = Object.assign({}, config);
+
+    this.name = name;
+    this.config = Object.assign({}, supervisor.appDefaults, config);
+    this.config.restart = Object.assign({}, supervisor.appDefaults.restart, config.restart);
+    this.config.session = Object.assign({}, supervisor.appDefaults.session, config.session);
+    this.config.session.heartbeat = Object.assign({}, supervisor.appDefaults.session.heartbeat,
+        config.session && config.session.heartbeat);
+    this.config.shutdown = Object.assign({}, supervisor.appDefaults.shutdown, config.shutdown);
+    this.config.output = Object.assign({}, supervisor.appDefaults.output, config.output);
+
+    this.pid = null;
+    // The identity of the running process (see process-identity.js).
+    this.identity = null;
+    // Identifies the current launch of the application, in its log.
+    this.launchId = null;
+    // When the running process was started (ms since epoch).
+    this.startTime = null;
+    // The log of the running process's output (see output-log.js).
+    this.outputLog = null;
+    // Resolves when the output of the running process has been read.
+    this.outputDone = null;
+    // The recent events of the messaging sessions.
+    this.sessionEvents = [];
+    this.starting = false;
+    this.restartPolicy = new restartPolicy.RestartPolicy(this.config.restart);
+    // Recent failures to start.
+    this.restartCount = 0;
+    // The exit code and signal of the last process, if known.
+    this.lastExitCode = null;
+    this.lastSignal = null;
+    this.restartTimer = null;
+    // Set while restarts are paused, by a session change.
+    this.restartsPaused = false;
+    // Set when the application needs to be restarted once restarts are resumed.
+    this.restartPending = false;
+    // Set when the application is being stopped by the service.
+    this.stopRequested = false;
+    // Resolves when the current stop has completed.
+    this.stopping = null;
+    this.processHandle = null;
+    // Resolves when the running process has terminated.
+    this.terminated = null;
+    // The secret shared with the running process.
+    this.secret = null;
+    // The current messaging session.
+    this.session = null;
+}
+
+util.inherits(ManagedApp, EventEmitter);
+supervisor.ManagedApp = ManagedApp;
+
+/**
+ * Emits an event on the application, and as a service event.
+ *
+ * @param eventName {String} The event name.
+ * @param arg {Any} The event argument.
+ */
+ManagedApp.prototype.event = function (eventName, arg) {
+    this.emit(eventName, arg);
+    supervisor.event(eventName, this.name, arg);
+};
+
+/**
+ * Determines if the application is already running, without being managed by the supervisor. Applications can replace
+ * this.
+ *
+ * @return {Boolean} true if it's running.
+ */
+ManagedApp.prototype.isRunningElsewhere = function () {
+    return false;
+};
+
+/**
+ * Determines if the application stopped unintentionally, after its process has terminated. Applications can replace
+ * this.
+ *
+ * @return {Boolean} true if it crashed.
+ */
+ManagedApp.prototype.isCrash = function () {
+    return !this.stopRequested;
+};
+
+/**
+ * Prepares to start the application, just before its process is created. Applications can replace this, to add to
+ * the options it's started with (such as `env`).
+ *
+ * @param options {Object} The options for ipc.startProcess, which can be modified.
+ * @return {Promise} Resolves when the application can be started.
+ */
+ManagedApp.prototype.prepareStart = function () {
+    return Promise.resolve();
+};
+
+/**
+ * Starts the application, if it's not already running.
+ *
+ * @return {Promise} Resolves with true when it has started, or false if it's already running or couldn't be started.
+ */
+ManagedApp.prototype.start = function () {
+    var app = this;
+    clearTimeout(this.restartTimer);
+    this.restartTimer = null;
+    this.restartPending = false;
+
+    if (this.starting || this.pid || this.isRunningElsewhere()) {
+        service.logWarn(this.name + " is already running.");
+        return Promise.resolve(false);
+    }
+
+    this.starting = true;
+    this.stopRequested = false;
+    this.restartPolicy.started();
+    this.startTime = Date.now();
+    this.sessionEvents = [];
+    this.outputLog = null;
+    this.outputDone = null;
+
+    var options = {
+        // If this process isn't a windows service, then run as the current user.
+        alwaysRun: !service.isService,
+        env: Object.assign({}, this.config.env),
+        currentDir: this.config.currentDir,
+        transport: this.config.transport,
+        captureOutput: this.config.output.capture
+    };
+    this.launchId = crypto.randomBytes(4).toString("hex");
+
+    service.log("Starting " + this.name + ": " + this.config.command);
+
+    return this.prepareStart(options).then(function () {
+        return ipc.startProcess(app.config.command, options);
+    }).then(function (proc) {
+        app.pid = proc.pid;
+        app.identity = app.getIdentity(proc.pid);
+        app.secret = proc.secret;
+        app.processHandle = proc.processHandle;
+        app.starting = false;
+
+        if (proc.output) {
+            app.captureOutput(proc.output);
+        }
+
+        app.terminated = ipc.waitForTermination(proc.processHandle).then(function (exitStatus) {
+            app.stopped(exitStatus);
+        });
+
+        // Start the comms with the application.
+        app.attachSession(app.createSession(proc.pipe));
+
+        app.event("started", app.pid);
+        return true;
+    }, function (err) {
+        app.starting = false;
+        service.logError("Unable to start " + app.name + ":", err.message);
+        app.event("start-failed", err.message);
+        return false;
+    });
+};
+
+/**
+ * Stops the application, gracefully. It's sent a shutdown request (or on POSIX, SIGTERM if there's no session), and
+ * given the grace period to exit before it's forcibly terminated.
+ *
+ * @param reason {String} [optional] Why it's being stopped, which is passed in the shutdown request.
+ * @return {Promise} Resolves when the application has stopped.
+ */
+ManagedApp.prototype.stop = function (reason) {
+    var app = this;
+    clearTimeout(this.restartTimer);
+    this.restartTimer = null;
+    this.restartPending = false;
+
+    if (!this.pid) {
+        return Promise.resolve();
+    } else if (this.stopping) {
+        return this.stopping;
+    }
+
+    var pid = this.pid;
+    var gracePeriod = this.config.shutdown.gracePeriod;
+    this.stopRequested = true;
+
+    service.log("Stopping " + this.name + " (" + (reason || "requested") + ")");
+
+    this.stopping = new Promise(function (resolve) {
+        var timer = null;
+        var forceStop = function (why) {
+            clearTimeout(timer);
+            if (app.pid === pid) {
+                service.logWarn(why + ", terminating " + app.name + " process " + pid);
+                app.kill("SIGKILL");
+            }
+        };
+
+        app.terminated.then(function () {
+            clearTimeout(timer);
+            service.log(app.name + " has exited");
+            app.stopping = null;
+            resolve();
+        });
+
+        if (gracePeriod > 0) {
+            timer = setTimeout(forceStop, gracePeriod, app.name + " did not exit within " + gracePeriod + "ms");
+
+            if (app.session && app.session.handshakeComplete) {
+                service.log("Asking " + app.name + " to shut down");
+                app.session.request("shutdown", { reason: reason || "requested" }, { timeout: gracePeriod })
+                    .then(function () {
+                        service.log(app.name + " is shutting down");
+                    }, function (err) {
+                        forceStop(app.name + " refused to shut down (" + err.message + ")");
+                    });
+            } else if (process.platform !== "win32") {
+                service.log("Sending SIGTERM to " + app.name);
+                app.kill("SIGTERM");
+            } else {
+                forceStop("No connection to " + app.name);
+            }
+        } else {
+            forceStop("No grace period");
+        }
+    });
+
+    return this.stopping;
+};
+
+/**
+ * Writes the output of the application's process to its log file. Each line is tagged with the pid and launch id.
+ *
+ * @param output {Object} The `stdout` and `stderr` streams of the process.
+ */
+ManagedApp.prototype.captureOutput = function (output) {
+    var app = this;
+    var config = this.config.output;
+    var log;
+    try {
+        log = new outputLog.OutputLog(config.dir || supervisor.logDir, this.name, config);
+    } catch (e) {
+        service.logError("Unable to create the log for " + this.name + ":", e.message);
+        // Keep reading, so the process isn't blocked by a full pipe.
+        output.stdout.resume();
+        output.stderr.resume();
+        return;
+    }
+
+    service.log("Writing the output of " + this.name + " to " + log.file);
+    var tag = this.pid + " " + this.launchId;
+    var onError = function (err) {
+        service.logError("Unable to write the output of " + app.name + ":", err.message);
+    };
+    log.on("error", onError);
+    log.capture(output.stdout, "stdout", tag, onError);
+    log.capture(output.stderr, "stderr", tag, onError);
+
+    this.outputLog = log;
+    this.outputDone = Promise.all([output.stdout, output.stderr].map(function (stream) {
+        return new Promise(function (resolve) {
+            stream.on("end", resolve);
+            stream.on("close", resolve);
+        });
+    })).then(function () {
+        return log.close();
+    });
+};
+
+/**
+ * Gets the identity of the application's process (see process-identity.js).
+ *
+ * @param pid {Number} The pid.
+ * @return {Object} The identity, or null if it couldn't be found.
+ */
+ManagedApp.prototype.getIdentity = function (pid) {
+    var identity = null;
+    try {
+        identity = processIdentity.get(pid);
+    } catch (e) {
+        service.logWarn("Unable to get the identity of " + this.name + " process " + pid + ":", e.message);
+    }
+    return identity;
+};
+
+/**
+ * Sends a signal to the application's process (on Windows, any signal terminates it). Nothing is sent if the pid now
+ * belongs to a different process.
+ *
+ * @param signal {String} The signal.
+ */
+ManagedApp.prototype.kill = function (signal) {
+    if (this.identity && !processIdentity.isSameProcessRunning(this.identity)) {
+        service.logWarn("Process " + this.pid + " is no longer " + this.name + ", not sending " + signal);
+    } else if (this.pid) {
+        try {
+            process.kill(this.pid, signal);
+        } catch (e) {
+            service.logError("Unable to stop " + this.name + ":", e.message);
+        }
+    }
+};
+
+/**
+ * Called when the application's process has terminated.
+ * If it wasn't intentional, then a crash report is written, and it's restarted according to the restart policy. If the
+ * exit code has an action in the restart policy's `exitCodes`, that decides instead.
+ *
+ * @param exitStatus {Object} [optional] The `exitCode` and `signal` of the process, if known.
+ */
+ManagedApp.prototype.stopped = function (exitStatus) {
+    this.lastExitCode = exitStatus && exitStatus.exitCode !== undefined ? exitStatus.exitCode : null;
+    this.lastSignal = (exitStatus && exitStatus.signal) || null;
+    service.log(this.name + " stopped (exit code: " + this.lastExitCode + ", signal: " + this.lastSignal + ")");
+
+    var exitAction = this.stopRequested ? null : this.restartPolicy.getExitAction(exitStatus);
+    if (exitAction) {
+        service.log("Exit code " + this.lastExitCode + " of " + this.name + " means " + exitAction);
+    }
+
+    var crashed = exitAction ? exitAction === "restart" : this.isCrash();
+    var pid = this.pid;
+    var crashInfo = crashed && this.getCrashInfo();
+
+    this.pid = null;
+    this.identity = null;
+    this.secret = null;
+    this.processHandle = null;
+    if (this.session) {
+        this.session.close();
+        this.session = null;
+    }
+
+    var decision = null;
+    var healthy = this.startTime && (Date.now() - this.startTime >= this.restartPolicy.options.healthyAfter);
+    if (exitAction === "restart-now" && healthy && this.config.restart.enabled) {
+        // Restarting was asked for, so it's not a failure.
+        decision = { action: "restart", delay: 0 };
+    } else if ((crashed || exitAction === "restart-now") && this.config.restart.enabled) {
+        // Asking to be restarted during start-up is throttled like a crash, to avoid a tight loop.
+        decision = this.restartPolicy.stopped();
+        this.restartCount = this.restartPolicy.getFailureCount();
+    }
+
+    if (crashed) {
+        this.writeCrashReport(Object.assign({
+            app: this.name,
+            time: new Date().toISOString(),
+            pid: pid,
+            launchId: this.launchId,
+            exitCode: this.lastExitCode,
+            signal: this.lastSignal,
+            uptime: Date.now() - this.startTime,
+            restartCount: this.restartCount,
+            sessionEvents: this.sessionEvents.slice()
+        }, crashInfo));
+    }
+
+    this.event("stopped", pid);
+
+    if (decision) {
+        switch (decision.action) {
+        case "restart":
+            var reason = exitAction === "restart-now" ? " asked to be restarted" : " stopped unexpectedly";
+            service.logWarn(this.name + reason + ", restarting in " + decision.delay + "ms.");
+            this.event("restarting", decision.delay);
+            break;
+        case "cool-off":
+            service.logError(this.name + " has failed too often, trying again in "
+                + Math.round(decision.delay / 1000) + " seconds.");
+            this.event("cooling-off", decision.delay);
+            break;
+        default:
+            service.logError("Unable to start " + this.name + ".");
+            this.event("gave-up");
+            break;
+        }
+
+        if (decision.delay !== null) {
+            this.restartTimer = setTimeout(this.restart.bind(this), decision.delay);
+        }
+    }
+};
+
+/**
+ * Restarts the application after it stopped unexpectedly, unless restarts are paused (in which case it's restarted
+ * when they're resumed).
+ */
+ManagedApp.prototype.restart = function () {
+    this.restartTimer = null;
+    if (this.restartsPaused) {
+        service.log("Restarts of " + this.name + " are paused");
+        this.restartPending = true;
+        this.event("restart-paused");
+    } else {
+        this.start();
+    }
+};
+
+/**
+ * Stops the application from being restarted, until resumeRestarts is called.
+ */
+ManagedApp.prototype.pauseRestarts = function () {
+    this.restartsPaused = true;
+};
+
+/**
+ * Allows the application to be restarted again, after pauseRestarts. If it stopped unexpectedly in the meantime, it's
+ * started.
+ *
+ * @return {Promise} Resolves with true if it was restarted.
+ */
+ManagedApp.prototype.resumeRestarts = function () {
+    this.restartsPaused = false;
+    if (this.restartPending) {
+        service.log("Restarts of " + this.name + " have resumed");
+        return this.start();
+    }
+    return Promise.resolve(false);
+};
+
+/**
+ * Gets the actions to perform for a session change event.
+ *
+ * @param eventType {String} The session change event, for example "session-lock".
+ * @return {String[]} The actions (see supervisor.sessionActions).
+ */
+ManagedApp.prototype.getSessionActions = function (eventType) {
+    var actions = this.config.sessionActions && this.config.sessionActions[eventType];
+    if (actions === undefined) {
+        actions = supervisor.sessionActions[eventType];
+    }
+    return actions || [];
+};
+
+/**
+ * Tells the application about a session change, with a "sessionChange" request. It's only sent if the application
+ * handles them.
+ *
+ * @param eventType {String} The session change event.
+ * @return {Promise} Resolves when the application has replied (or failed to).
+ */
+ManagedApp.prototype.notifySessionChange = function (eventType) {
+    var app = this;
+    var promise;
+    if (this.session && this.session.handshakeComplete && this.session.remoteHandles("sessionChange")) {
+        promise = this.session.request("sessionChange", {
+            event: eventType,
+            restartsPaused: this.restartsPaused
+        }).then(null, function (err) {
+            service.logWarn(app.name + " failed to handle " + eventType + ":", err.message);
+        });
+    } else {
+        promise = Promise.resolve();
+    }
+    return promise;
+};
+
+/**
+ * Performs the actions for a session change event, in order.
+ *
+ * @param eventType {String} The session change event.
+ * @return {Promise} Resolves when the actions have completed.
+ */
+ManagedApp.prototype.sessionChange = function (eventType) {
+    var app = this;
+    var actions = this.getSessionActions(eventType);
+    if (actions.length) {
+        service.log(this.name + ": " + eventType + " - " + actions.join(", "));
+    }
+
+    return Promise.each(actions, function (action) {
+        switch (action) {
+        case "start":
+            return app.pid ? null : app.start();
+        case "stop":
+            return app.stop(eventType === "session-logoff" ? "logoff" : eventType);
+        case "notify":
+            return app.notifySessionChange(eventType);
+        case "pause-restarts":
+            return app.pauseRestarts();
+        case "resume-restarts":
+            return app.resumeRestarts();
+        default:
+            service.logError("Unknown session action for " + app.name + ": " + action);
+            return null;
+        }
+    });
+};
+
+/**
+ * Gets additional information about the application for a crash report, at the time it stopped. Applications can
+ * replace this.
+ *
+ * @return {Object} Fields to add to the report.
+ */
+ManagedApp.prototype.getCrashInfo = function () {
+    return {};
+};
+
+/**
+ * Writes a crash report, once the remaining output of the process has been read (or after a second). The last lines of
+ * output are added to the report.
+ *
+ * @param report {Object} The report (see crash-reports.js).
+ * @return {Promise} Resolves with the report file, or null if it couldn't be written.
+ */
+ManagedApp.prototype.writeCrashReport = function (report) {
+    var app = this;
+    var log = this.outputLog;
+
+    return Promise.resolve(this.outputDone).timeout(1000).then(null, function () {
+        // Don't wait for the output.
+    }).then(function () {
+        report.output = log ? log.recent.slice() : [];
+        var file = null;
+        try {
+            file = crashReports.write(supervisor.crashReportDir, report);
+            service.logWarn(app.name + " crashed, see " + file);
+            crashReports.prune(supervisor.crashReportDir, { keep: supervisor.maxCrashReports });
+        } catch (e) {
+            service.logError("Unable to write the crash report for " + app.name + ":", e.message);
+        }
+        if (file) {
+            app.event("crashed", file);
+        }
+        return file;
+    });
+};
+
+/**
+ * Remembers an event of the messaging session, for crash reports.
+ *
+ * @param eventName {String} The event name.
+ * @param arg {Any} The first argument of the event.
+ */
+ManagedApp.prototype.addSessionEvent = function (eventName, arg) {
+    var detail;
+    if (arg instanceof Error) {
+        detail = arg.message;
+    } else if (arg && typeof(arg) === "object") {
+        // The type of a request, or nothing for a session.
+        detail = arg.type;
+    } else {
+        detail = arg;
+    }
+
+    this.sessionEvents.push({
+        time: new Date().toISOString(),
+        event: eventName,
+        detail: detail === undefined ? null : detail
+    });
+    if (this.sessionEvents.length > supervisor.maxSessionEvents) {
+        this.sessionEvents.shift();
+    }
+};
+
+/**
+ * Called when the application has stopped responding to heartbeats. The process is killed, and restarted as though it
+ * had crashed.
+ */
+ManagedApp.prototype.unresponsive = function () {
+    var pid = this.pid;
+    service.logError(this.name + " is unresponsive");
+    this.event("unresponsive", pid);
+
+    if (this.config.session.restartUnresponsive && pid) {
+        service.log("Killing unresponsive " + this.name + " process " + pid);
+        this.kill("SIGKILL");
+    }
+};
+
+/**
+ * Creates a messaging session over a pipe to the application, using the secret shared with the current process.
+ * Requests are handled by the handlers registered with the service.
+ *
+ * @param pipe {Socket} The pipe to the application.
+ * @return {Session} The messaging session.
+ */
+ManagedApp.prototype.createSession = function (pipe) {
+    var app = this;
+    var sessionType = this.config.session.type || this.name;
+
+    var recorder = null;
+    if (this.config.session.record) {
+        try {
+            recorder = sessionRecorder.createRecorder(path.join(service.dataDir, "recordings"), sessionType);
+            service.log("Recording the " + this.name + " session to " + recorder.file);
+        } catch (e) {
+            service.logError("Unable to record the " + this.name + " session:", e.message);
+        }
+    }
+
+    var session = messaging.createSession(pipe, sessionType, {
+        requestTypes: Object.keys(service.requestHandlers),
+        // The application decides if MessagePack is used, by also accepting it.
+        encodings: ["msgpack", "json"],
+        recorder: recorder,
+        secret: this.secret
+    });
+    session.on("error", function (err) {
+        service.logError(app.name + " session error:", err.message);
+    });
+    if (recorder) {
+        recorder.on("error", function (err) {
+            service.logError("Stopped recording the " + app.name + " session:", err.message);
+            session.recorder = null;
+        });
+    }
+    session.on("authentication-failed", function (err, request) {
+        service.logWarn("Rejected an unauthenticated '" + request.type + "' request from " + app.name);
+    });
+
+    return session;
+};
+
+/**
+ * Makes a session the one used to communicate with the application. If it's replacing a previous session (after a
+ * reconnect), the subscriptions of that session are moved to the new one.
+ *
+ * @param session {Session} The messaging session.
+ */
+ManagedApp.prototype.attachSession = function (session) {
+    var app = this;
+    var previous = this.session;
+
+    session.requestHandler = service.handleRequest;
+    supervisor.sessionEventNames.forEach(function (eventName) {
+        session.on(eventName, function (arg) {
+            if (app.session === session) {
+                app.addSessionEvent(eventName, arg);
+            }
+        });
+    });
+    session.on("close", function () {
+        if (app.session === session && app.pid) {
+            service.logWarn("The pipe to " + app.name + " has closed");
+        }
+    });
+
+    if (session.handshakeComplete) {
+        session.startHeartbeat(this.config.session.heartbeat);
+    } else {
+        session.on("ready", function () {
+            session.startHeartbeat(app.config.session.heartbeat);
+        });
+    }
+    session.on("heartbeat-missed", function (missed) {
+        service.logWarn(app.name + " missed a heartbeat (" + missed + ")");
+    });
+    session.on("unresponsive", function () {
+        app.unresponsive();
+    });
+    session.on("responsive", function () {
+        service.log(app.name + " is responsive again");
+    });
+    session.on("stalled", function (queuedBytes) {
+        service.logWarn(app.name + " is not reading from the pipe (" + queuedBytes + " bytes queued)");
+    });
+    session.on("message-dropped", function () {
+        service.logWarn("Dropped a message to " + app.name + " - the outbound queue is full");
+    });
+
+    this.session = session;
+
+    if (previous && previous !== session) {
+        notifications.transferSubscriptions(previous, session);
+        previous.close();
+    }
+
+    // The session itself is only for the app's listeners; the service event just says which app and process.
+    this.emit("session", session);
+    supervisor.event("session", this.name, this.pid);
+};
+
+/**
+ * Gets the status of the application.
+ *
+ * @return {Object} The status.
+ */
+ManagedApp.prototype.getStatus = function () {
+    return {
+        name: this.name,
+        pid: this.pid,
+        starting: this.starting,
+        restartCount: this.restartCount,
+        lastExitCode: this.lastExitCode,
+        lastSignal: this.lastSignal
+    };
+};
+
+/**
+ * Adds an application to be managed.
+ *
+ * @param name {String} The application name.
+ * @param config {Object} The configuration (see supervisor.appDefaults).
+ * @return {ManagedApp} The application.
+ */
+supervisor.addApp = function (name, config) {
+    if (supervisor.apps[name]) {
+        throw new Error("Application '" + name + "' is already managed");
+    }
+    var app = new ManagedApp(name, config);
+    supervisor.apps[name] = app;
+    return app;
+};
+
+/**
+ * Stops managing an application, stopping it if it's running.
+ *
+ * @param name {String} The application name.
+ * @return {Promise} Resolves when the application has stopped.
+ */
+supervisor.removeApp = function (name) {
+    var app = supervisor.apps[name];
+    delete supervisor.apps[name];
+    return app ? app.stop("removed") : Promise.resolve();
+};
+
+/**
+ * Adds the applications in a configuration file: a JSON object of application configurations, keyed by name.
+ *
+ * @param file {String} The configuration file.
+ */
+supervisor.loadConfig = function (file) {
+    var config = JSON.parse(fs.readFileSync(file, "utf8"));
+    Object.keys(config).forEach(function (name) {
+        supervisor.addApp(name, config[name]);
+    });
+};
+
+/**
+ * Loads the session actions from a file: a JSON object of action lists, keyed by session change event. They replace
+ * the actions in supervisor.sessionActions for those events.
+ *
+ * @param file {String} The session actions file.
+ */
+supervisor.loadSessionActions = function (file) {
+    var actions = JSON.parse(fs.readFileSync(file, "utf8"));
+    Object.assign(supervisor.sessionActions, actions);
+};
+
+/**
+ * Starts all applications.
+ *
+ * @return {Promise} Resolves when all have been started.
+ */
+supervisor.startAll = function () {
+    return Promise.all(Object.keys(supervisor.apps).map(function (name) {
+        return supervisor.apps[name].start();
+    }));
+};
+
+/**
+ * Stops all applications.
+ *
+ * @param reason {String} [optional] Why they're being stopped.
+ * @return {Promise} Resolves when all have stopped.
+ */
+supervisor.stopAll = function (reason) {
+    return Promise.all(Object.keys(supervisor.apps).map(function (name) {
+        return supervisor.apps[name].stop(reason);
+    }));
+};
+
+/**
+ * Called when the service is stopping. The applications are stopped, and the service waits for them.
+ */
+supervisor.serviceStopping = function () {
+    service.waitBeforeStop(supervisor.stopAll("service-stop"));
+};
+
+/**
+ * Called when the computer is shutting down.
+ */
+supervisor.shutdown = function () {
+    supervisor.stopAll("shutdown");
+};
+
+/**
+ * Gets the status of the applications.
+ *
+ * @param name {String} [optional] Only get the status of this application.
+ * @return {Object[]} The status of each application.
+ */
+supervisor.getStatus = function (name) {
+    return Object.keys(supervisor.apps).filter(function (appName) {
+        return !name || appName === name;
+    }).map(function (appName) {
+        return supervisor.apps[appName].getStatus();
+    });
+};
+
+/**
+ * Called when the service has started.
+ */
+supervisor.serviceStarted = function () {
+    if (supervisor.sessionActionsFile) {
+        try {
+            supervisor.loadSessionActions(supervisor.sessionActionsFile);
+        } catch (e) {
+            service.logError("Unable to load the session actions from " + supervisor.sessionActionsFile + ":",
+                e.message);
+        }
+    }
+
+    if (supervisor.configFile) {
+        try {
+            supervisor.loadConfig(supervisor.configFile);
+        } catch (e) {
+            service.logError("Unable to load the applications from " + supervisor.configFile + ":", e.message);
+        }
+    }
+
+    // Only Windows waits for a user to log on; elsewhere, there's no logon event to start them.
+    if (!service.isService || !windows || windows.isUserLoggedOn()) {
+        supervisor.startAll();
+    }
+};
+
+/**
+ * The user's session has changed. Each application performs the actions configured for the event.
+ *
+ * @param eventType {String} The session change event, for example "session-logon", "session-lock", or
+ *  "remote-connect".
+ * @return {Promise} Resolves when the actions have completed.
+ */
+supervisor.sessionChange = function (eventType) {
+    service.logDebug("session change", eventType);
+
+    return Promise.all(Object.keys(supervisor.apps).map(function (name) {
+        return supervisor.apps[name].sessionChange(eventType);
+    }));
+};
+
+supervisor.handle("getAppStatus", function (data) {
+    return {
+        apps: supervisor.getStatus(data && data.name)
+    };
+});
+
+// Listen for service start, stop, shutdown and session change.
+service.on("start", supervisor.serviceStarted);
+service.on("stop", supervisor.serviceStopping);
+service.on("svc-shutdown", supervisor.shutdown);
+service.on("svc-sessionchange", supervisor.sessionChange);
+
+module.exports = supervisor;
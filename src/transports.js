@@ -0,0 +1,340 @@
+/* Transports for the connection between the service and a child process.
+ *
+ * Copyright 2017 Raising the Floor - International
+ *
+ * Licensed under the New BSD license. You may not use this file except in
+ * compliance with this License.
+ *
+ * The R&D leading to these results received funding from the
+ * Department of Education - Grant H421A150005 (GPII-APCP). However,
+ * these results do not necessarily represent the policy of the
+ * Department of Education, and you should not assume endorsement by the
+ * Federal Government.
+ *
+ * You may obtain a copy of the License at
+ * https://github.com/GPII/universal/blob/master/LICENSE.txt
+ */
+
+"use strict";
+
+/*
+Each transport provides:
+    name                    The transport name.
+    generateAddress()       Returns a new address to listen on.
+    listen(address)         Resolves with a net.Server listening on the address.
+    connect(address)        Resolves with a socket connected to the address (what the child does).
+    checksPeer              true if getPeerPid normally finds the pid, so a connection from a process it can't find
+                            is refused.
+    getPeerPid(socket)      Resolves with the pid of the process at the other end of a socket, or null if the transport
+                            can't tell.
+    prepareChild(options)   Resolves with what a child process needs to connect back: the `env` and `inheritHandles`
+                            to start it with, `connected(pid)` which resolves with the socket once that process
+                            has connected, and `close()` to release the server (or pipe) if the child couldn't be
+                            started. `options` are those the child is started with (`uid` and `gid` are used).
+
+The named-pipe transport gives the child an end of the pipe, as an inherited handle (see gpii-ipc.js). With the others,
+the child is given the address in its environment (GPII_SERVICE_TRANSPORT and GPII_SERVICE_ADDRESS), and connects to it.
+A connection from a different process is refused, where the peer pid can be found. Unix sockets don't find the peer
+pid; only the child's user can reach the socket, so any process of that user can connect to it first. That transport is
+only for trusted, single-user environments.
+
+Nothing platform specific is loaded until it's used, so the socket transports work anywhere.
+*/
+
+var net = require("net"),
+    fs = require("fs"),
+    os = require("os"),
+    path = require("path"),
+    Promise = require("bluebird"),
+    logging = require("./logging.js");
+
+var transports = exports;
+
+// The environment variables given to the child, for the transports that connect to an address.
+transports.transportEnvName = "GPII_SERVICE_TRANSPORT";
+transports.addressEnvName = "GPII_SERVICE_ADDRESS";
+
+// How long to wait for the child to connect.
+transports.connectTimeout = 30000;
+
+// The transport used when not configured.
+transports.defaultTransport = process.platform === "win32" ? "named-pipe" : "unix-socket";
+
+/**
+ * Gets a transport.
+ *
+ * @param name {String} [optional] The transport name (default: transports.defaultTransport).
+ * @return {Object} The transport.
+ * @throws {Error} If there's no such transport.
+ */
+transports.get = function (name) {
+    var transport = transports.all[name || transports.defaultTransport];
+    if (!transport) {
+        throw new Error("Unknown transport '" + name + "'");
+    }
+    return transport;
+};
+
+/**
+ * Listens on an address with a net.Server.
+ *
+ * @param address {String|Object} The address, as accepted by net.Server.listen.
+ * @return {Promise} Resolves with the server when it's listening.
+ */
+function listen(address) {
+    return new Promise(function (resolve, reject) {
+        var server = net.createServer();
+        server.once("error", reject);
+        server.listen(address, function () {
+            server.removeListener("error", reject);
+            resolve(server);
+        });
+    });
+}
+
+/**
+ * Connects to an address with a net.Socket.
+ *
+ * @param address {String|Object} The address, as accepted by net.createConnection.
+ * @return {Promise} Resolves with the socket when it's connected.
+ */
+function connect(address) {
+    return new Promise(function (resolve, reject) {
+        var socket = net.createConnection(address, function () {
+            socket.removeListener("error", reject);
+            resolve(socket);
+        });
+        socket.once("error", reject);
+    });
+}
+
+/**
+ * Listens for a child process to connect to a transport. Connections from other processes are refused.
+ *
+ * @param transport {Object} The transport.
+ * @param address {String} [optional] The address to listen on (default: a new one from the transport).
+ * @return {Promise} Resolves with the child connection details (see prepareChild).
+ */
+function prepareListeningChild(transport, address) {
+    return transport.listen(address || transport.generateAddress()).then(function (server) {
+        var env = {};
+        env[transports.transportEnvName] = transport.name;
+        env[transports.addressEnvName] = transport.serverAddress(server);
+
+        return {
+            env: env,
+            inheritHandles: null,
+            close: function () {
+                if (server.listening) {
+                    server.close();
+                }
+            },
+            connected: function (pid) {
+                return new Promise(function (resolve, reject) {
+                    var timer = setTimeout(function () {
+                        server.close();
+                        reject(new Error("Timed out waiting for process " + pid + " to connect"));
+                    }, transports.connectTimeout);
+
+                    server.on("connection", function (socket) {
+                        transport.getPeerPid(socket).then(function (peerPid) {
+                            if (peerPid === pid || (peerPid === null && !transport.checksPeer)) {
+                                clearTimeout(timer);
+                                server.close();
+                                resolve(socket);
+                            } else {
+                                logging.warn("Refused a connection from "
+                                    + (peerPid === null ? "an unknown process" : "pid " + peerPid)
+                                    + ", expecting " + pid);
+                                socket.destroy();
+                            }
+                        }, function (err) {
+                            logging.warn("Unable to check the connecting process:", err.message);
+                            socket.destroy();
+                        });
+                    });
+                });
+            }
+        };
+    });
+}
+
+transports.all = {};
+
+/**
+ * Windows named pipes. The child inherits the client end of the pipe.
+ */
+transports.all["named-pipe"] = {
+    name: "named-pipe",
+    checksPeer: false,
+    generateAddress: function () {
+        return require("./gpii-ipc.js").generatePipeName();
+    },
+    listen: listen,
+    connect: connect,
+    getPeerPid: function () {
+        // The client end of the pipe was opened by this process, and given only to the child.
+        return Promise.resolve(null);
+    },
+    prepareChild: function () {
+        var ipc = require("./gpii-ipc.js");
+        return ipc.createPipe(ipc.generatePipeName()).then(function (pipePair) {
+            return {
+                env: {},
+                inheritHandles: [pipePair.clientHandle],
+                close: function () {
+                    pipePair.serverConnection.destroy();
+                    require("./winapi.js").kernel32.CloseHandle(pipePair.clientHandle);
+                },
+                connected: function () {
+                    return Promise.resolve(pipePair.serverConnection);
+                }
+            };
+        });
+    }
+};
+
+/**
+ * Unix domain sockets, each in its own directory in the temp directory. The directory is only accessible to the child's
+ * user, but the peer pid isn't checked (see above).
+ */
+transports.all["unix-socket"] = {
+    name: "unix-socket",
+    checksPeer: false,
+    generateAddress: function () {
+        // mkdtemp makes the directory accessible only to its owner.
+        return path.join(fs.mkdtempSync(path.join(os.tmpdir(), "gpii-")), "service.sock");
+    },
+    listen: function (address) {
+        var dir = path.dirname(address);
+        return listen(address).then(function (server) {
+            server.on("close", function () {
+                // The socket file is removed when the server closes, leaving its directory.
+                fs.rmdir(dir, function () {});
+            });
+            return server;
+        }, function (err) {
+            fs.rmdir(dir, function () {});
+            throw err;
+        });
+    },
+    connect: connect,
+    serverAddress: function (server) {
+        return server.address();
+    },
+    getPeerPid: function () {
+        return Promise.resolve(null);
+    },
+    prepareChild: function (options) {
+        var transport = this;
+        return Promise.resolve().then(function () {
+            var address = transport.generateAddress();
+            if (options && options.uid !== undefined) {
+                // Let the child's user (and only them) into the directory, before anything is listening in it.
+                var dir = path.dirname(address);
+                try {
+                    fs.chownSync(dir, options.uid, options.gid === undefined ? -1 : options.gid);
+                } catch (e) {
+                    fs.rmdirSync(dir);
+                    throw e;
+                }
+            }
+            return prepareListeningChild(transport, address);
+        });
+    }
+};
+
+/**
+ * TCP, on the loopback interface. The peer pid is found from the TCP table.
+ */
+transports.all.tcp = {
+    name: "tcp",
+    checksPeer: true,
+    generateAddress: function () {
+        return "127.0.0.1:0";
+    },
+    listen: function (address) {
+        var parts = address.split(":");
+        return listen({ host: parts[0], port: parseInt(parts[1]) });
+    },
+    connect: function (address) {
+        var parts = address.split(":");
+        return connect({ host: parts[0], port: parseInt(parts[1]) });
+    },
+    serverAddress: function (server) {
+        var address = server.address();
+        return address.address + ":" + address.port;
+    },
+    getPeerPid: function (socket) {
+        // The peer's end of the connection is local to it: its local port is this end's remote port.
+        return Promise.resolve().then(function () {
+            return transports.getTcpOwnerPid(socket.remotePort, socket.localPort);
+        });
+    },
+    prepareChild: function () {
+        return prepareListeningChild(this);
+    }
+};
+
+/**
+ * Finds the process that owns a loopback TCP connection, from the TCP table.
+ *
+ * @param localPort {Number} The local port of the connection, from the owner's point of view.
+ * @param remotePort {Number} The remote port of the connection, from the owner's point of view.
+ * @return {Number} The pid, or null if the connection wasn't found.
+ */
+transports.getTcpOwnerPid = function (localPort, remotePort) {
+    return process.platform === "win32"
+        ? require("./windows.js").getTcpOwnerPid(localPort, remotePort)
+        : transports.getProcTcpOwnerPid(localPort, remotePort);
+};
+
+/**
+ * Finds the process that owns a TCP connection, using /proc on Linux. The connection's inode is found in
+ * /proc/net/tcp, and then the process with a file descriptor for that inode.
+ *
+ * @param localPort {Number} The local port of the connection, from the owner's point of view.
+ * @param remotePort {Number} The remote port of the connection, from the owner's point of view.
+ * @return {Number} The pid, or null if the connection wasn't found.
+ */
+transports.getProcTcpOwnerPid = function (localPort, remotePort) {
+    var ESTABLISHED = "01";
+    var inode = null;
+    fs.readFileSync("/proc/net/tcp", "utf8").split("\n").slice(1).some(function (line) {
+        // sl local_address rem_address st tx_queue:rx_queue tr:tm->when retrnsmt uid timeout inode
+        var fields = line.trim().split(/\s+/);
+        if (fields.length > 9 && fields[3] === ESTABLISHED
+            && parseInt(fields[1].split(":")[1], 16) === localPort
+            && parseInt(fields[2].split(":")[1], 16) === remotePort) {
+            inode = fields[9];
+        }
+        return inode !== null;
+    });
+
+    if (inode === null) {
+        return null;
+    }
+
+    var link = "socket:[" + inode + "]";
+    var owner = null;
+    fs.readdirSync("/proc").some(function (pid) {
+        if (/^\d+$/.test(pid)) {
+            try {
+                var fdDir = path.join("/proc", pid, "fd");
+                owner = fs.readdirSync(fdDir).some(function (fd) {
+                    try {
+                        return fs.readlinkSync(path.join(fdDir, fd)) === link;
+                    } catch (e) {
+                        // The descriptor has closed.
+                        return false;
+                    }
+                }) ? parseInt(pid) : null;
+            } catch (e) {
+                // The process has gone, or belongs to another user.
+            }
+        }
+        return owner !== null;
+    });
+
+    return owner;
+};
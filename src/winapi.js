@@ -58,6 +58,9 @@ winapi.constants = {
     // file handle open (from CRT)
     FOPEN: 0x1,
 
+    // https://msdn.microsoft.com/library/ms684880
+    PROCESS_QUERY_LIMITED_INFORMATION: 0x1000,
+
     // https://msdn.microsoft.com/library/ms687032
     INFINITE: 0xFFFFFFFF,
     WAIT_OBJECT_0: 0,
@@ -235,6 +238,18 @@ winapi.kernel32 = ffi.Library("kernel32", {
     // https://msdn.microsoft.com/library/ms687032
     "WaitForSingleObject": [
         t.DWORD, [ t.HANDLE, t.DWORD ]
+    ],
+    // https://msdn.microsoft.com/library/ms683223
+    "GetProcessTimes": [
+        t.BOOL, [ t.HANDLE, t.LP, t.LP, t.LP, t.LP ]
+    ],
+    // https://msdn.microsoft.com/library/ms684919
+    "QueryFullProcessImageNameW": [
+        t.BOOL, [ t.HANDLE, t.DWORD, t.LP, t.LP ]
+    ],
+    // https://msdn.microsoft.com/library/ms683189
+    "GetExitCodeProcess": [
+        t.BOOL, [ t.HANDLE, t.LP ]
     ]
 });
 
@@ -184,7 +184,7 @@ windows.getUserDataDir = function (userToken) {
  */
 windows.getParentPid = function (pid) {
 
-    var snapshot = windows.kernel32.CreateToolhelp32Snapshot(winapi.constants.TH32CS_SNAPPROCESS, null);
+    var snapshot = winapi.kernel32.CreateToolhelp32Snapshot(winapi.constants.TH32CS_SNAPPROCESS, null);
     if (snapshot === winapi.constants.INVALID_HANDLE_VALUE) {
         throw winapi.error("CreateToolhelp32Snapshot failed");
     }
@@ -213,10 +213,12 @@ windows.getParentPid = function (pid) {
 };
 
 /**
+ * Determines if a process is a descendant of another.
  *
- * @param childPid
- * @param parentPid
- * @param depth
+ * @param childPid {Number} The child pid.
+ * @param parentPid {Number} The possible parent (or grand-parent, etc) pid.
+ * @param depth {Number} [optional] How many generations to check (default: 5).
+ * @return {Boolean} true if parentPid is an ancestor of childPid.
  */
 windows.isParentPid = function (childPid, parentPid, depth) {
     depth = depth || 5;
@@ -234,6 +236,109 @@ windows.isParentPid = function (childPid, parentPid, depth) {
     return found;
 };
 
+/**
+ * Gets the TCP table: the IPv4 TCP connections and their owning processes.
+ *
+ * @return {Object[]} An array of MIB_TCPROW2 structs.
+ */
+windows.getTcpTable = function () {
+    var sizeBuf = ref.alloc(winapi.types.ULONG, 0);
+    // Get the size of the table first.
+    var ret = winapi.iphlpapi.GetTcpTable2(ref.NULL, sizeBuf, false);
+    if (ret !== winapi.errorCodes.ERROR_INSUFFICIENT_BUFFER) {
+        throw winapi.error("GetTcpTable2", ret);
+    }
+
+    var tableBuf = Buffer.alloc(sizeBuf.deref());
+    ret = winapi.iphlpapi.GetTcpTable2(tableBuf, sizeBuf, false);
+    if (ret !== winapi.errorCodes.ERROR_SUCCESS) {
+        throw winapi.error("GetTcpTable2", ret);
+    }
+
+    // MIB_TCPTABLE2: DWORD dwNumEntries, followed by the rows.
+    var rows = [];
+    var count = tableBuf.readUInt32LE(0);
+    var rowSize = winapi.MIB_TCPROW2.size;
+    for (var n = 0; n < count; n++) {
+        var offset = 4 + n * rowSize;
+        rows.push(new winapi.MIB_TCPROW2(tableBuf.slice(offset, offset + rowSize)));
+    }
+    return rows;
+};
+
+/**
+ * Finds the process that owns a TCP connection.
+ *
+ * @param localPort {Number} The local port of the connection, from the owner's point of view.
+ * @param remotePort {Number} The remote port of the connection, from the owner's point of view.
+ * @return {Number} The pid, or null if the connection wasn't found.
+ */
+windows.getTcpOwnerPid = function (localPort, remotePort) {
+    // The ports are in network byte order.
+    var toPort = function (value) {
+        return ((value & 0xff) << 8) | ((value >> 8) & 0xff);
+    };
+
+    var pid = null;
+    windows.getTcpTable().some(function (row) {
+        if (row.dwState === winapi.constants.MIB_TCP_STATE_ESTAB && toPort(row.dwLocalPort) === localPort
+            && toPort(row.dwRemotePort) === remotePort) {
+            pid = row.dwOwningPid;
+        }
+        return pid !== null;
+    });
+    return pid;
+};
+
+/**
+ * Gets the identity of a process: its pid, start time, and executable path.
+ *
+ * @param pid {Number} The pid.
+ * @return {Object} The identity, or null if there's no such process (or it can't be opened).
+ */
+windows.getProcessIdentity = function (pid) {
+    var processHandle = winapi.kernel32.OpenProcess(winapi.constants.PROCESS_QUERY_LIMITED_INFORMATION, false, pid);
+    if (!processHandle) {
+        return null;
+    }
+
+    try {
+        // Four FILETIMEs: creation, exit, kernel, and user time.
+        var times = Buffer.alloc(8 * 4);
+        var success = winapi.kernel32.GetProcessTimes(processHandle, times, times.slice(8), times.slice(16),
+            times.slice(24));
+        if (!success) {
+            throw winapi.error("GetProcessTimes");
+        }
+        // FILETIME is the number of 100ns intervals since 1601.
+        var creationTime = times.readUInt32LE(4) * 0x100000000 + times.readUInt32LE(0);
+        var epochOffset = 11644473600000;
+
+        var pathBuf = Buffer.alloc(32768 * 2);
+        var sizeBuf = ref.alloc(winapi.types.DWORD, pathBuf.length / 2);
+        success = winapi.kernel32.QueryFullProcessImageNameW(processHandle, 0, pathBuf, sizeBuf);
+        if (!success) {
+            throw winapi.error("QueryFullProcessImageNameW");
+        }
+
+        return {
+            pid: pid,
+            startTime: Math.round(creationTime / 10000 - epochOffset),
+            path: winapi.stringFromWideChar(pathBuf)
+        };
+    } finally {
+        winapi.kernel32.CloseHandle(processHandle);
+    }
+};
+
+/**
+ * Waits for a process to terminate.
+ *
+ * @param processHandle {Number} The process handle.
+ * @param timeout {Number} [optional] Milliseconds to wait (default: forever).
+ * @return {Promise} Resolves with the `exitCode` of the process (and `signal`, which is always null) when it has
+ *  terminated, or "timeout" if it's still running after the timeout.
+ */
 windows.waitForProcessTermination = function (processHandle, timeout) {
     return new Promise(function (resolve, reject) {
         if (!timeout && timeout !== 0) {
@@ -242,19 +347,39 @@ windows.waitForProcessTermination = function (processHandle, timeout) {
         winapi.kernel32.WaitForSingleObject.async(processHandle, timeout, function (err, ret) {
             switch (ret) {
             case winapi.constants.WAIT_OBJECT_0:
-                resolve();
+                resolve({
+                    exitCode: windows.getExitCode(processHandle),
+                    signal: null
+                });
                 break;
             case winapi.constants.WAIT_TIMEOUT:
                 resolve("timeout");
                 break;
             case winapi.constants.WAIT_FAILED:
-                throw windows.win32Error("WaitForSingleObject");
+                reject(winapi.error("WaitForSingleObject"));
+                break;
             default:
-                reject();
+                reject(err || new Error("WaitForSingleObject returned " + ret));
                 break;
             }
         });
     });
 };
 
+/**
+ * Gets the exit code of a process that has terminated.
+ *
+ * @param processHandle {Number} The process handle.
+ * @return {Number} The exit code, or null if it couldn't be read.
+ */
+windows.getExitCode = function (processHandle) {
+    var exitCodeBuf = ref.alloc(winapi.types.DWORD);
+    var success = winapi.kernel32.GetExitCodeProcess(processHandle, exitCodeBuf);
+    if (!success) {
+        logging.warn(winapi.error("GetExitCodeProcess").message);
+        return null;
+    }
+    return exitCodeBuf.deref();
+};
+
 module.exports = windows;
@@ -0,0 +1,96 @@
+"use strict";
+
+var jqUnit = require("node-jqunit"),
+    fs = require("fs"),
+    os = require("os"),
+    path = require("path"),
+    crashReports = require("../src/crash-reports.js");
+
+var teardowns = [];
+
+jqUnit.module("GPII crash report tests", {
+    teardown: function () {
+        while (teardowns.length) {
+            teardowns.pop()();
+        }
+    }
+});
+
+/**
+ * Creates a directory for the reports, which is removed after the test.
+ *
+ * @return {String} The directory.
+ */
+function createReportDir() {
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), "gpii-crash-reports-test"));
+    teardowns.push(function () {
+        fs.readdirSync(dir).forEach(function (file) {
+            fs.unlinkSync(path.join(dir, file));
+        });
+        fs.rmdirSync(dir);
+    });
+    return dir;
+}
+
+/**
+ * Writes some reports, a day apart.
+ *
+ * @param dir {String} The directory.
+ * @param count {Number} The number of reports.
+ * @return {String[]} The files, oldest first.
+ */
+function writeReports(dir, count) {
+    var files = [];
+    for (var n = count; n > 0; n--) {
+        files.push(crashReports.write(dir, {
+            app: "test",
+            time: new Date(Date.now() - n * 24 * 60 * 60 * 1000).toISOString(),
+            pid: 1000 + n,
+            exitCode: n,
+            signal: null,
+            uptime: 10
+        }));
+    }
+    return files;
+}
+
+jqUnit.test("Test write and list", function () {
+    var dir = path.join(createReportDir(), "reports");
+    teardowns.push(function () {
+        fs.readdirSync(dir).forEach(function (file) {
+            fs.unlinkSync(path.join(dir, file));
+        });
+        fs.rmdirSync(dir);
+    });
+
+    jqUnit.assertDeepEq("There should be no reports before the directory exists", [], crashReports.list(dir));
+
+    var files = writeReports(dir, 3);
+    fs.writeFileSync(path.join(dir, "other.json"), "not json");
+
+    var report = crashReports.read(files[0]);
+    jqUnit.assertEquals("Report should have the format version", crashReports.formatVersion, report.report);
+    jqUnit.assertEquals("Report should have the pid", 1003, report.pid);
+
+    var list = crashReports.list(dir);
+    jqUnit.assertDeepEq("Reports should be listed oldest first", files, list.map(function (item) {
+        return item.file;
+    }));
+    jqUnit.assertDeepEq("List should summarise the reports", [3, 2, 1], list.map(function (item) {
+        return item.exitCode;
+    }));
+});
+
+jqUnit.test("Test prune", function () {
+    var dir = createReportDir();
+    var files = writeReports(dir, 5);
+
+    var removed = crashReports.prune(dir, { keep: 3 });
+    jqUnit.assertDeepEq("The oldest reports should be removed", files.slice(0, 2), removed);
+
+    removed = crashReports.prune(dir, { olderThan: 1.5 * 24 * 60 * 60 * 1000 });
+    jqUnit.assertDeepEq("The reports older than the time should be removed", files.slice(2, 4), removed);
+    jqUnit.assertDeepEq("Only the newest report should remain", [files[4]], crashReports.list(dir).map(function (item) {
+        return item.file;
+    }));
+});
@@ -0,0 +1,133 @@
+"use strict";
+
+var jqUnit = require("node-jqunit"),
+    fs = require("fs"),
+    net = require("net"),
+    os = require("os"),
+    path = require("path"),
+    gpiiIPC = require("../src/gpii-ipc.js"),
+    ipcPosix = require("../src/gpii-ipc-posix.js"),
+    transports = require("../src/transports.js");
+
+jqUnit.module("GPII POSIX ipc tests");
+
+jqUnit.test("Test parseCommandLine", function () {
+    var tests = [
+        { command: "node script.js", expect: ["node", "script.js"] },
+        { command: "  node   a  b ", expect: ["node", "a", "b"] },
+        { command: "\"/opt/some dir/node\" \"a b\" c", expect: ["/opt/some dir/node", "a b", "c"] },
+        { command: "echo \"\" x\\ y \\\"", expect: ["echo", "", "x y", "\""] }
+    ];
+
+    tests.forEach(function (test) {
+        jqUnit.assertDeepEq("parseCommandLine should split " + test.command, test.expect,
+            ipcPosix.parseCommandLine(test.command));
+    });
+});
+
+if (process.platform !== "win32") {
+    var script = path.join(__dirname, "gpii-pipe-test-child.js");
+
+    // The same as the "Test execute" test in gpii-pipe-test.js, with a unix socket.
+    jqUnit.asyncTest("Test execute", function () {
+        jqUnit.expect(4);
+
+        var socketPath = path.join(os.tmpdir(), "gpii-ipc-test-" + process.pid + ".sock");
+        var options = {
+            env: {
+                "GPII_TEST_VALUE1": "value1"
+            },
+            currentDir: os.tmpdir()
+        };
+
+        var server = net.createServer(function (connection) {
+            server.close();
+            var data = "";
+            connection.setEncoding("utf8");
+            connection.on("data", function (chunk) {
+                data += chunk;
+            });
+            connection.on("end", function () {
+                var info = JSON.parse(data);
+                jqUnit.assertEquals("'currentDir' should return from child", options.currentDir, info.currentDir);
+                jqUnit.assertEquals("Environment should contain the value", "value1", info.env.GPII_TEST_VALUE1);
+                jqUnit.start();
+            });
+        });
+
+        server.listen(socketPath, function () {
+            ipcPosix.execute(["node", script, socketPath].join(" "), options).then(function (proc) {
+                jqUnit.assertEquals("pid should be numeric", "number", typeof(proc.pid));
+                jqUnit.assertFalse("There should be no channel", !!proc.stdio[ipcPosix.channelFd]);
+            });
+        });
+    });
+
+    jqUnit.asyncTest("Test execute failure", function () {
+        ipcPosix.execute("/nonexistent/command").then(function () {
+            jqUnit.fail("execute should fail");
+        }, function (err) {
+            jqUnit.assertEquals("execute should fail", "ENOENT", err.code);
+            jqUnit.start();
+        });
+    });
+
+    jqUnit.asyncTest("Test startProcess failure with a transport", function () {
+        jqUnit.expect(2);
+
+        var transport = transports.get("unix-socket");
+        var prepareChild = transport.prepareChild;
+        var address = null;
+        transport.prepareChild = function () {
+            return prepareChild.apply(this, arguments).then(function (child) {
+                address = child.env[transports.addressEnvName];
+                return child;
+            });
+        };
+
+        ipcPosix.startProcess("/nonexistent/command", { transport: "unix-socket" }).then(function () {
+            transport.prepareChild = prepareChild;
+            jqUnit.fail("startProcess should fail");
+        }, function (err) {
+            transport.prepareChild = prepareChild;
+            jqUnit.assertEquals("startProcess should fail", "ENOENT", err.code);
+            setTimeout(function () {
+                jqUnit.assertFalse("The socket directory should be removed", fs.existsSync(path.dirname(address)));
+                jqUnit.start();
+            }, 100);
+        });
+    });
+
+    // The same as the "Test startProcess" test in gpii-pipe-test.js: the child uses the socketpair on fd 3.
+    jqUnit.asyncTest("Test startProcess", function () {
+        var expected = ["FROM CHILD\n", "received: FROM PARENT\n"];
+        var received = [];
+
+        gpiiIPC.startProcess(["node", script, "inherited-pipe"].join(" ")).then(function (p) {
+            jqUnit.assertEquals("pid should be numeric", "number", typeof(p.pid));
+            jqUnit.assertEquals("processHandle should be the child process", p.pid, p.processHandle.pid);
+            jqUnit.assertTrue("A secret should be returned", Buffer.isBuffer(p.secret));
+
+            var allData = "";
+            p.pipe.setEncoding("utf8");
+            p.pipe.on("data", function (data) {
+                allData += data;
+                if (allData.indexOf("\n") >= 0) {
+                    received.push(allData);
+                    allData = "";
+                    if (received.length < expected.length) {
+                        p.pipe.write("FROM PARENT\n");
+                    } else {
+                        p.pipe.end();
+                    }
+                }
+            });
+
+            p.processHandle.on("exit", function (code) {
+                jqUnit.assertDeepEq("Expected input from the channel", expected, received);
+                jqUnit.assertEquals("Child should exit cleanly", 0, code);
+                jqUnit.start();
+            });
+        });
+    });
+}
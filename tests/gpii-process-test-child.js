@@ -0,0 +1,26 @@
+"use strict";
+
+// Stands in for GPII after it has relaunched itself, for the gpii-process tests. It makes a rendezvous connection to
+// the address in GPII_SERVICE_RENDEZVOUS, and asks to reconnect with its own pid.
+//  node gpii-process-test-child.js TRANSPORT
+// The response (or the error's data) is written to stdout as JSON.
+
+var messaging = require("../src/pipe-messaging.js"),
+    transports = require("../src/transports.js");
+
+transports.get(process.argv[2]).connect(process.env.GPII_SERVICE_RENDEZVOUS).then(function (socket) {
+    var session = messaging.createSession(socket, "gpii");
+    session.on("error", function () {});
+    session.once("ready", function () {
+        session.request("reconnect", { pid: process.pid }).then(function (result) {
+            return { result: result };
+        }, function (err) {
+            return { error: err.data };
+        }).then(function (output) {
+            session.close();
+            process.stdout.write(JSON.stringify(output), function () {
+                process.exit();
+            });
+        });
+    });
+});
@@ -0,0 +1,135 @@
+"use strict";
+
+var jqUnit = require("node-jqunit"),
+    childProcess = require("child_process"),
+    os = require("os"),
+    path = require("path"),
+    Promise = require("bluebird"),
+    messaging = require("../src/pipe-messaging.js"),
+    transports = require("../src/transports.js"),
+    supervisor = require("../src/supervisor.js"),
+    gpiiProcess = require("../src/gpii-process.js");
+
+// GPII isn't started by these tests, so it's not left for the supervisor tests to find.
+supervisor.removeApp("gpii");
+
+jqUnit.module("GPII process tests", {
+    teardown: function () {
+        var app = gpiiProcess.app;
+        if (app.session) {
+            app.session.close();
+            app.session = null;
+        }
+        app.pid = null;
+        gpiiProcess.stopRendezvous();
+    }
+});
+
+if (process.platform !== "win32") {
+    jqUnit.test("Test pid file", function () {
+        jqUnit.assertEquals("The pid file should be in ~/.gpii", path.join(os.homedir(), ".gpii", "gpii.pid"),
+            gpiiProcess.getPidFile());
+    });
+}
+
+jqUnit.test("Test isGPII", function () {
+    jqUnit.assertFalse("A process that isn't running should not be GPII", gpiiProcess.isGPII(0x7ffffffe));
+    jqUnit.assertFalse("A process that isn't the GPII command should not be GPII", gpiiProcess.isGPII(process.pid));
+});
+
+/**
+ * Makes a rendezvous connection, and sends a reconnect request.
+ *
+ * @param pid {Number} The pid to send in the request.
+ * @return {Promise} Resolves with the response data, or rejects with the error.
+ */
+function reconnect(pid) {
+    return gpiiProcess.startRendezvous().then(function () {
+        return transports.get(gpiiProcess.rendezvousTransport).connect(gpiiProcess.rendezvousAddress);
+    }).then(function (socket) {
+        var session = messaging.createSession(socket, "gpii");
+        return new Promise(function (resolve) {
+            session.once("ready", resolve);
+        }).then(function () {
+            return session.request("reconnect", { pid: pid });
+        }).then(function (result) {
+            session.close();
+            return result;
+        }, function (err) {
+            session.close();
+            throw err;
+        });
+    });
+}
+
+jqUnit.asyncTest("Test reconnect", function () {
+    jqUnit.expect(4);
+
+    var app = gpiiProcess.app;
+    var expectRejected = function (message) {
+        return function (result) {
+            jqUnit.fail(message + " (" + JSON.stringify(result) + ")");
+        };
+    };
+
+    // The connection is made by this process, which is standing in for GPII.
+    app.pid = process.pid + 1;
+    reconnect(process.pid + 1).then(expectRejected("A process that isn't GPII should be rejected"), function (err) {
+        jqUnit.assertEquals("A process claiming to be GPII should be rejected", "not-gpii", err.data.code);
+
+        app.pid = process.pid;
+        return reconnect(process.pid + 1);
+    }).then(expectRejected("A mismatched pid should be rejected"), function (err) {
+        jqUnit.assertEquals("A pid in the request that isn't the caller should be rejected", "not-gpii",
+            err.data.code);
+
+        return reconnect(process.pid);
+    }).then(function (result) {
+        jqUnit.assertDeepEq("GPII should be able to reconnect", { pid: process.pid }, result);
+        jqUnit.assertEquals("The reconnected session should be attached", process.pid, app.session.peerPid);
+        jqUnit.start();
+    }, function (err) {
+        jqUnit.fail("GPII should be able to reconnect: " + err.message);
+    });
+});
+
+// The parent of a process is only known on Windows and Linux.
+if (process.platform === "win32" || process.platform === "linux") {
+    jqUnit.asyncTest("Test reconnect from a child of GPII", function () {
+        jqUnit.expect(2);
+
+        var app = gpiiProcess.app;
+        // This process is standing in for GPII, which has relaunched itself as the child.
+        app.pid = process.pid;
+        gpiiProcess.startRendezvous().then(function () {
+            var child = childProcess.spawn(process.execPath,
+                [path.join(__dirname, "gpii-process-test-child.js"), gpiiProcess.rendezvousTransport], {
+                    env: Object.assign({}, process.env, { GPII_SERVICE_RENDEZVOUS: gpiiProcess.rendezvousAddress }),
+                    stdio: ["ignore", "pipe", "inherit"]
+                });
+
+            var output = "";
+            child.stdout.on("data", function (data) {
+                output += data;
+            });
+            child.on("close", function () {
+                jqUnit.assertDeepEq("A child of GPII should be able to reconnect", { result: { pid: process.pid } },
+                    JSON.parse(output));
+                jqUnit.assertEquals("The child's session should have been attached", child.pid,
+                    app.session && app.session.peerPid);
+                jqUnit.start();
+            });
+        });
+    });
+}
+
+jqUnit.asyncTest("Test rendezvous address", function () {
+    jqUnit.expect(1);
+
+    var options = { env: {} };
+    gpiiProcess.app.prepareStart(options).then(function () {
+        jqUnit.assertEquals("GPII should be given the rendezvous address", gpiiProcess.rendezvousAddress,
+            options.env.GPII_SERVICE_RENDEZVOUS);
+        jqUnit.start();
+    });
+});
@@ -0,0 +1,37 @@
+/* Runs all the tests.
+ *
+ * Copyright 2017 Raising the Floor - International
+ *
+ * Licensed under the New BSD license. You may not use this file except in
+ * compliance with this License.
+ *
+ * The R&D leading to these results received funding from the
+ * Department of Education - Grant H421A150005 (GPII-APCP). However,
+ * these results do not necessarily represent the policy of the
+ * Department of Education, and you should not assume endorsement by the
+ * Federal Government.
+ *
+ * You may obtain a copy of the License at
+ * https://github.com/GPII/universal/blob/master/LICENSE.txt
+ */
+
+"use strict";
+
+// These need the Windows API.
+if (process.platform === "win32") {
+    require("./gpii-pipe-test.js");
+}
+
+require("./pipe-messaging-test.js");
+require("./service.js");
+require("./notifications-test.js");
+require("./message-schema-test.js");
+require("./session-recorder-test.js");
+require("./transports-test.js");
+require("./gpii-ipc-posix-test.js");
+require("./restart-policy-test.js");
+require("./supervisor-test.js");
+require("./gpii-process-test.js");
+require("./process-identity-test.js");
+require("./output-log-test.js");
+require("./crash-reports-test.js");
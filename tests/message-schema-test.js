@@ -0,0 +1,116 @@
+"use strict";
+
+var jqUnit = require("node-jqunit"),
+    fs = require("fs"),
+    path = require("path"),
+    messageSchema = require("../src/message-schema.js"),
+    requestSchemas = require("../src/request-schemas.js");
+
+jqUnit.module("GPII message schema tests");
+
+jqUnit.test("Test validate", function () {
+    var schema = {
+        type: "object",
+        required: ["name", "list"],
+        properties: {
+            name: { type: "string" },
+            count: { type: "integer" },
+            mode: { type: "string", "enum": ["a", "b"] },
+            list: { type: "array", items: { type: ["string", "number"] } },
+            child: {
+                type: ["object", "null"],
+                required: ["id"]
+            }
+        }
+    };
+
+    var tests = [
+        { value: { name: "x", list: [] }, errors: [] },
+        { value: { name: "x", list: ["a", 1], count: 3, mode: "b", child: null, extra: true }, errors: [] },
+        { value: "x", errors: ["data must be object (got string)"] },
+        { value: null, errors: ["data must be object (got null)"] },
+        { value: {}, errors: ["data.name is required", "data.list is required"] },
+        { value: { name: 1, list: [true] },
+            errors: ["data.name must be string (got number)", "data.list[0] must be string or number (got boolean)"] },
+        { value: { name: "x", list: [], count: 1.5 }, errors: ["data.count must be integer (got number)"] },
+        { value: { name: "x", list: [], mode: "c" }, errors: ["data.mode must be one of [\"a\",\"b\"]"] },
+        { value: { name: "x", list: [], child: {} }, errors: ["data.child.id is required"] }
+    ];
+
+    tests.forEach(function (test) {
+        jqUnit.assertDeepEq("validate should return the expected errors for " + JSON.stringify(test.value),
+            test.errors, messageSchema.validate(test.value, schema, "data"));
+    });
+
+    jqUnit.assertDeepEq("No schema should allow anything", [], messageSchema.validate(123));
+});
+
+jqUnit.test("Test validateRequest", function () {
+    var err = messageSchema.validateRequest("subscribe", { events: 123 }, requestSchemas.subscribe);
+    jqUnit.assertNotNull("Invalid request data should return an error", err);
+    jqUnit.assertEquals("Error code should be invalid-request", "invalid-request", err.data.code);
+    jqUnit.assertTrue("Error message should explain what's wrong", err.message.indexOf("data.events") >= 0);
+
+    jqUnit.assertNull("Valid request data should not return an error",
+        messageSchema.validateRequest("subscribe", { events: ["stop"] }, requestSchemas.subscribe));
+    jqUnit.assertNull("Missing data should be null",
+        messageSchema.validateRequest("unsubscribe", undefined, requestSchemas.unsubscribe));
+    jqUnit.assertNull("Request types without a definition should not be checked",
+        messageSchema.validateRequest("unknown", 123));
+});
+
+jqUnit.test("Test validateMessage", function () {
+    var tests = [
+        { message: { request: "1", type: "x", data: {} }, valid: true },
+        { message: { response: 1 }, valid: true },
+        { message: { error: "1", message: "failed" }, valid: true },
+        { message: { notify: "x" }, valid: true },
+        { message: { notify: "x", channel: "logs" }, valid: true },
+        { message: { channelClose: "logs" }, valid: true },
+        { message: { request: "1" }, valid: false },
+        { message: { request: "1", type: 2 }, valid: false },
+        { message: { request: {}, type: "x" }, valid: false },
+        { message: { error: "1", message: {} }, valid: false },
+        { message: { notify: "x", channel: 1 }, valid: false },
+        { message: { channelClose: true }, valid: false },
+        { message: [], valid: false },
+        { message: "string", valid: false }
+    ];
+
+    tests.forEach(function (test) {
+        var errors = messageSchema.validateMessage(test.message);
+        jqUnit.assertEquals("validateMessage should return " + (test.valid ? "no errors" : "errors") + " for "
+            + JSON.stringify(test.message), test.valid, errors.length === 0);
+    });
+});
+
+jqUnit.test("Test generateDocs", function () {
+    var docs = messageSchema.generateDocs({
+        "test-request": {
+            handledBy: "application",
+            description: "Test description.",
+            data: {
+                type: "object",
+                properties: {
+                    value: { type: "string", description: "The value." },
+                    count: { type: "number", example: 5 }
+                }
+            }
+        }
+    });
+
+    var expected = "#### `test-request`\n\nTest description.\n\nRequest:\n```javascript\n{\n"
+        + "    request: \"...\",\n    type: \"test-request\",\n    data: {\n"
+        + "        value: \"...\",  // The value.\n        count: 5\n    }\n}\n```\n\n"
+        + "Response:\n```javascript\n{\n    response: \"...\",\n    type: \"test-request\"\n}\n```\n";
+
+    jqUnit.assertTrue("Generated docs should contain the request type", docs.indexOf(expected) >= 0);
+    jqUnit.assertTrue("Sections without requests should say so",
+        docs.indexOf("### Service requests\n\nNone.") >= 0);
+});
+
+jqUnit.test("Test protocol.md is up to date", function () {
+    var markdown = fs.readFileSync(path.join(__dirname, "../protocol.md"), "utf8");
+    jqUnit.assertEquals("protocol.md should match the request definitions (run: node index.js --mode=protocol-docs)",
+        markdown, messageSchema.updateProtocolDoc(markdown, requestSchemas));
+});
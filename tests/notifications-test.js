@@ -0,0 +1,166 @@
+"use strict";
+
+var jqUnit = require("node-jqunit"),
+    service = require("../src/service.js"),
+    notifications = require("../src/notifications.js"),
+    testUtils = require("./test-utils.js");
+
+var teardowns = [];
+
+jqUnit.module("GPII notification tests", {
+    teardown: function () {
+        while (teardowns.length) {
+            teardowns.pop()();
+        }
+    }
+});
+
+jqUnit.test("Test patternToRegExp", function () {
+    var tests = [
+        { pattern: "stop", match: ["stop"], noMatch: ["stopped", "xstop", "svc-stop"] },
+        { pattern: "gpiiProcess.*", match: ["gpiiProcess.started-gpii", "gpiiProcess."], noMatch: ["gpiiProcessX"] },
+        { pattern: "*", match: ["stop", "svc-sessionchange", ""], noMatch: [] },
+        { pattern: "svc-*change", match: ["svc-sessionchange"], noMatch: ["svc-sessionchanged"] }
+    ];
+
+    tests.forEach(function (test) {
+        var regex = notifications.patternToRegExp(test.pattern);
+        test.match.forEach(function (eventName) {
+            jqUnit.assertTrue(test.pattern + " should match " + eventName, regex.test(eventName));
+        });
+        test.noMatch.forEach(function (eventName) {
+            jqUnit.assertFalse(test.pattern + " should not match " + eventName, regex.test(eventName));
+        });
+    });
+});
+
+jqUnit.asyncTest("Test subscriptions", function () {
+    jqUnit.expect(7);
+
+    var testModule = service.module("testNotify");
+
+    testUtils.createSessionPair(function (serviceSession, gpiiSession) {
+        serviceSession.requestHandler = service.handleRequest;
+        teardowns.push(function () {
+            gpiiSession.close();
+            serviceSession.close();
+        });
+
+        var received = [];
+        gpiiSession.on("notification", function (name, data) {
+            received.push({name: name, args: data.args});
+        });
+
+        gpiiSession.request("subscribe", {events: ["testNotify.a*", "svc-sessionchange"]}).then(function (result) {
+            jqUnit.assertDeepEq("subscribe should return the subscriptions",
+                ["testNotify.a*", "svc-sessionchange"], result.subscriptions);
+            jqUnit.assertTrue("Session should be tracked", notifications.sessions.indexOf(serviceSession) >= 0);
+
+            testModule.event("abc", 1, 2);
+            testModule.event("xyz", 3);
+            service.event("svc-sessionchange", "session-lock");
+
+            return gpiiSession.request("unsubscribe", {events: ["testNotify.a*"]});
+        }).then(function (result) {
+            jqUnit.assertDeepEq("unsubscribe should return the remaining subscriptions",
+                ["svc-sessionchange"], result.subscriptions);
+
+            testModule.event("abc", 4);
+
+            return gpiiSession.request("subscribe", {events: 123});
+        }).then(function () {
+            jqUnit.fail("subscribe with invalid data should fail");
+        }, function (err) {
+            jqUnit.assertTrue("subscribe with invalid data should fail", !!err);
+
+            jqUnit.assertDeepEq("Only the subscribed events should be received", [
+                {name: "testNotify.abc", args: [1, 2]},
+                {name: "svc-sessionchange", args: ["session-lock", null]}
+            ], received);
+
+            serviceSession.on("close", function () {
+                jqUnit.assertEquals("Session should not be tracked after closing",
+                    -1, notifications.sessions.indexOf(serviceSession));
+                jqUnit.assertNull("Subscriptions should be removed after closing", serviceSession.subscriptions);
+                jqUnit.start();
+            });
+            gpiiSession.close();
+        });
+    });
+});
+
+jqUnit.test("Test isPlainData", function () {
+    var circular = { a: 1 };
+    circular.self = circular;
+
+    var plain = [null, undefined, 1, "a", true, [1, [2]], { a: { b: [1, "c"] } }, Object.create(null)];
+    var notPlain = [circular, function () {}, new Error("x"), new Date(), { session: service }, [1, service]];
+
+    plain.forEach(function (value, index) {
+        jqUnit.assertTrue("Value " + index + " should be plain data", notifications.isPlainData(value));
+    });
+    notPlain.forEach(function (value, index) {
+        jqUnit.assertFalse("Value " + index + " should not be plain data", notifications.isPlainData(value));
+    });
+});
+
+jqUnit.asyncTest("Test unserialisable event arguments", function () {
+    jqUnit.expect(3);
+
+    var testModule = service.module("testUnserialisable");
+
+    testUtils.createSessionPair(function (serviceSession, gpiiSession) {
+        teardowns.push(function () {
+            gpiiSession.close();
+            serviceSession.close();
+        });
+        notifications.subscribe(serviceSession, ["testUnserialisable.*"]);
+
+        var circular = {};
+        circular.self = circular;
+
+        gpiiSession.on("notification", function (name, data) {
+            jqUnit.assertEquals("The notification should be received", "testUnserialisable.circular", name);
+            jqUnit.assertDeepEq("Unserialisable arguments should be null", [null, 2], data.args);
+
+            // A failure to send shouldn't reach the code emitting the event.
+            serviceSession.sendNotification = function () {
+                throw new Error("Send failed");
+            };
+            testModule.event("failing", 1);
+            jqUnit.assertTrue("The event should not throw when the notification can't be sent", true);
+            jqUnit.start();
+        });
+
+        testModule.event("circular", circular, 2);
+    });
+});
+
+jqUnit.asyncTest("Test transferring subscriptions", function () {
+    jqUnit.expect(3);
+
+    var testModule = service.module("testTransfer");
+
+    testUtils.createSessionPair(function (oldSession) {
+        notifications.subscribe(oldSession, ["testTransfer.*"]);
+        oldSession.close();
+
+        testUtils.createSessionPair(function (serviceSession, gpiiSession) {
+            teardowns.push(function () {
+                gpiiSession.close();
+                serviceSession.close();
+            });
+
+            var subscriptions = notifications.transferSubscriptions(oldSession, serviceSession);
+            jqUnit.assertDeepEq("Subscriptions of the closed session should be transferred", ["testTransfer.*"],
+                subscriptions);
+            jqUnit.assertTrue("New session should be tracked", notifications.sessions.indexOf(serviceSession) >= 0);
+
+            gpiiSession.on("notification", function (name) {
+                jqUnit.assertEquals("New session should receive the notifications", "testTransfer.done", name);
+                jqUnit.start();
+            });
+            testModule.event("done");
+        });
+    });
+});
@@ -0,0 +1,237 @@
+"use strict";
+
+var jqUnit = require("node-jqunit"),
+    fs = require("fs"),
+    os = require("os"),
+    path = require("path"),
+    stream = require("stream"),
+    outputLog = require("../src/output-log.js");
+
+var teardowns = [];
+
+jqUnit.module("GPII output log tests", {
+    teardown: function () {
+        while (teardowns.length) {
+            teardowns.pop()();
+        }
+    }
+});
+
+/**
+ * Creates a directory for the logs, which is removed after the test.
+ *
+ * @return {String} The directory.
+ */
+function createLogDir() {
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), "gpii-output-log-test"));
+    teardowns.push(function () {
+        fs.readdirSync(dir).forEach(function (file) {
+            fs.unlinkSync(path.join(dir, file));
+        });
+        fs.rmdirSync(dir);
+    });
+    return dir;
+}
+
+/**
+ * Reads the lines of a log file, without the time.
+ *
+ * @param file {String} The log file.
+ * @return {String[]} The lines.
+ */
+function readLog(file) {
+    return fs.readFileSync(file, "utf8").split("\n").filter(function (line) {
+        return line;
+    }).map(function (line) {
+        return line.substr(line.indexOf(" ") + 1);
+    });
+}
+
+jqUnit.asyncTest("Test write", function () {
+    var dir = createLogDir();
+    var log = new outputLog.OutputLog(dir, "test");
+
+    log.write("1234 abcd", "stdout", ["line 1", "line 2"]);
+    log.write("1234 abcd", "stderr", ["line 3"]);
+
+    log.close().then(function () {
+        jqUnit.assertEquals("Log file should be NAME.log", path.join(dir, "test.log"), log.file);
+        jqUnit.assertDeepEq("Lines should be tagged",
+            ["[1234 abcd] stdout: line 1", "[1234 abcd] stdout: line 2", "[1234 abcd] stderr: line 3"],
+            readLog(log.file));
+        jqUnit.start();
+    });
+});
+
+jqUnit.asyncTest("Test rotation", function () {
+    var dir = createLogDir();
+    // Each line is 49 bytes, so 2 fit in a file.
+    var log = new outputLog.OutputLog(dir, "test", { maxSize: 120, maxFiles: 2 });
+
+    for (var n = 1; n <= 7; n++) {
+        log.write("1", "stdout", ["line " + n + "....."]);
+    }
+
+    // Give the rotated files time to be flushed.
+    setTimeout(function () {
+        log.close().then(function () {
+            jqUnit.assertDeepEq("Only the current file and 2 old files should be kept",
+                ["test.1.log", "test.2.log", "test.log"], fs.readdirSync(dir).sort());
+            jqUnit.assertDeepEq("Current file should have the latest line", ["[1] stdout: line 7....."],
+                readLog(path.join(dir, "test.log")));
+            jqUnit.assertDeepEq("First old file should have the previous lines",
+                ["[1] stdout: line 5.....", "[1] stdout: line 6....."], readLog(path.join(dir, "test.1.log")));
+            jqUnit.assertDeepEq("Second old file should have the older lines",
+                ["[1] stdout: line 3.....", "[1] stdout: line 4....."], readLog(path.join(dir, "test.2.log")));
+
+            // A new log continues with the existing file.
+            var log2 = new outputLog.OutputLog(dir, "test", { maxSize: 120, maxFiles: 2 });
+            jqUnit.assertEquals("Size should be of the existing file", log.size, log2.size);
+            jqUnit.start();
+        });
+    }, 100);
+});
+
+jqUnit.asyncTest("Test close error", function () {
+    jqUnit.expect(2);
+    var dir = createLogDir();
+    var log = new outputLog.OutputLog(dir, "test");
+
+    log.on("error", function (err) {
+        jqUnit.assertEquals("The error should be emitted", "EBADF", err.code);
+    });
+
+    log.write("1", "stdout", ["line 1"]);
+    // Pull the file out from under the stream, so the flush fails.
+    fs.closeSync(log.stream.fd);
+
+    log.close().then(function () {
+        jqUnit.assert("close should resolve");
+        jqUnit.start();
+    });
+});
+
+jqUnit.asyncTest("Test capture", function () {
+    var dir = createLogDir();
+    var log = new outputLog.OutputLog(dir, "test");
+
+    var output = new stream.PassThrough();
+    log.capture(output, "stderr", "99 launch", function (err) {
+        jqUnit.fail("Unexpected error: " + err.message);
+    });
+
+    output.write("first");
+    output.write(" line\r\nsecond line\nthi");
+    output.end("rd line");
+
+    output.on("end", function () {
+        log.close().then(function () {
+            jqUnit.assertDeepEq("Lines should be written as they're completed",
+                ["[99 launch] stderr: first line", "[99 launch] stderr: second line",
+                    "[99 launch] stderr: third line"],
+                readLog(log.file));
+            jqUnit.start();
+        });
+    });
+});
+
+jqUnit.asyncTest("Test capture backpressure", function () {
+    jqUnit.expect(4);
+    var dir = createLogDir();
+    var log = new outputLog.OutputLog(dir, "test", { maxSize: 1024 * 1024 * 1024 });
+
+    var output = new stream.PassThrough();
+    log.capture(output, "stdout", "1", function (err) {
+        jqUnit.fail("Unexpected error: " + err.message);
+    });
+
+    // More than the file stream buffers.
+    var lines = [];
+    for (var n = 0; n < 1000; n++) {
+        lines.push("line " + n + " " + "x".repeat(100));
+    }
+    output.write(lines.join("\n") + "\n");
+    jqUnit.assertTrue("Output should be paused while the file catches up", output.isPaused());
+
+    log.once("drain", function () {
+        jqUnit.assertFalse("Output should be resumed when the file has caught up", output.isPaused());
+        output.end("last line\n");
+    });
+
+    output.on("end", function () {
+        log.close().then(function () {
+            var written = readLog(log.file);
+            jqUnit.assertEquals("All the output should be written", lines.length + 1, written.length);
+            jqUnit.assertEquals("The last line should be written", "[1] stdout: last line",
+                written[written.length - 1]);
+            jqUnit.start();
+        });
+    });
+});
+
+jqUnit.asyncTest("Test long line", function () {
+    var dir = createLogDir();
+    var log = new outputLog.OutputLog(dir, "test", { maxLineLength: 10 });
+
+    var output = new stream.PassThrough();
+    log.capture(output, "stdout", "1", function (err) {
+        jqUnit.fail("Unexpected error: " + err.message);
+    });
+
+    output.write("0123456789abcdefghij0123");
+    jqUnit.assertEquals("Output without a line break should be written at the maximum length", 2, log.recent.length);
+    output.end("\n");
+
+    output.on("end", function () {
+        log.close().then(function () {
+            jqUnit.assertDeepEq("The line should be split at the maximum length",
+                ["[1] stdout: 0123456789", "[1] stdout: abcdefghij", "[1] stdout: 0123"], readLog(log.file));
+            jqUnit.start();
+        });
+    });
+});
+
+if (process.platform !== "win32") {
+    jqUnit.test("Test links", function () {
+        var dir = createLogDir();
+        var target = path.join(dir, "target");
+        fs.writeFileSync(target, "not a log");
+
+        var log;
+
+        // A link in place of the log file.
+        fs.symlinkSync(target, path.join(dir, "test.log"));
+        try {
+            log = new outputLog.OutputLog(dir, "test");
+            jqUnit.fail("A linked log file should be refused");
+        } catch (e) {
+            jqUnit.assertTrue("A linked log file should be refused", /link/.test(e.message));
+        }
+
+        // A link in place of a rotated file.
+        log = new outputLog.OutputLog(dir, "other", { maxSize: 10, maxFiles: 1 });
+        fs.symlinkSync(target, path.join(dir, "other.1.log"));
+        log.write("1", "stdout", ["line 1"]);
+        try {
+            log.write("1", "stdout", ["line 2"]);
+            jqUnit.fail("Rotating over a link should be refused");
+        } catch (e) {
+            jqUnit.assertTrue("Rotating over a link should be refused", /link/.test(e.message));
+        }
+        jqUnit.assertEquals("The link's target should be untouched", "not a log", fs.readFileSync(target, "utf8"));
+        log.close();
+
+        // A linked directory.
+        var linkedDir = dir + "-link";
+        fs.symlinkSync(dir, linkedDir);
+        teardowns.push(function () {
+            fs.unlinkSync(linkedDir);
+        });
+        try {
+            log = new outputLog.OutputLog(linkedDir, "test");
+            jqUnit.fail("A linked directory should be refused");
+        } catch (e) {
+            jqUnit.assertTrue("A linked directory should be refused", /link/.test(e.message));
+        }
+    });
+}
@@ -0,0 +1,1193 @@
+"use strict";
+
+var jqUnit = require("node-jqunit"),
+    crypto = require("crypto"),
+    EventEmitter = require("events"),
+    Promise = require("bluebird"),
+    messaging = require("../src/pipe-messaging.js"),
+    messageEncoding = require("../src/message-encoding.js"),
+    testUtils = require("./test-utils.js");
+
+var teardowns = [];
+
+jqUnit.module("GPII pipe messaging tests", {
+    teardown: function () {
+        while (teardowns.length) {
+            teardowns.pop()();
+        }
+    }
+});
+
+/**
+ * Creates a pair of sessions, connected to each other, which are closed after the test.
+ *
+ * @param callback {Function(sessionA,sessionB,socketB)} Called when both sessions are ready.
+ * @param optionsA {Object} [optional] Options for the first session.
+ * @param optionsB {Object} [optional] Options for the second session.
+ */
+function createTestSessionPair(callback, optionsA, optionsB) {
+    testUtils.createSessionPair(function (sessionA, sessionB, socketB) {
+        teardowns.push(function () {
+            sessionA.close();
+            sessionB.close();
+        });
+        callback(sessionA, sessionB, socketB);
+    }, optionsA, optionsB);
+}
+
+var createSocketPair = testUtils.createSocketPair;
+
+/**
+ * Creates a fake pipe, which records what's written to it, and can be made to stop accepting data.
+ *
+ * @return {EventEmitter} The fake pipe.
+ */
+function createFakePipe() {
+    var pipe = new EventEmitter();
+    pipe.written = [];
+    pipe.blocked = false;
+    pipe.write = function (data) {
+        pipe.written.push(data);
+        if (pipe.capacity !== undefined && --pipe.capacity <= 0) {
+            pipe.blocked = true;
+            delete pipe.capacity;
+        }
+        return !pipe.blocked;
+    };
+    pipe.end = function () {};
+    // capacity: [optional] The number of writes to accept before blocking again.
+    pipe.unblock = function (capacity) {
+        pipe.blocked = false;
+        pipe.capacity = capacity;
+        pipe.emit("drain");
+    };
+    return pipe;
+}
+
+jqUnit.asyncTest("Test session type check", function () {
+    jqUnit.expect(2);
+
+    createSocketPair(function (socketA, socketB) {
+        var sessionA = messaging.createSession(socketA, "type-A");
+        var sessionB = messaging.createSession(socketB, "type-B");
+
+        sessionA.on("error", function (err) {
+            jqUnit.assertTrue("Mismatched session type should be an error", err.message.indexOf("type-B") >= 0);
+        });
+        sessionB.on("error", function () {
+            jqUnit.assert("Mismatched session type should be an error for both ends");
+        });
+
+        sessionA.on("close", function () {
+            jqUnit.start();
+        });
+    });
+});
+
+jqUnit.asyncTest("Test handshake negotiation", function () {
+    jqUnit.expect(8);
+
+    createTestSessionPair(function (sessionA, sessionB) {
+        jqUnit.assertEquals("Highest common version should be used", 3, sessionA.protocolVersion);
+        jqUnit.assertEquals("Both ends should agree on the version", 3, sessionB.protocolVersion);
+        jqUnit.assertDeepEq("Common features should be enabled", ["f2"], sessionA.features);
+        jqUnit.assertDeepEq("Both ends should agree on the features", ["f2"], sessionB.features);
+        jqUnit.assertTrue("hasFeature should return true for a common feature", sessionA.hasFeature("f2"));
+        jqUnit.assertFalse("hasFeature should return false for a local-only feature", sessionA.hasFeature("f1"));
+        jqUnit.assertTrue("remoteHandles should return true for the remote's request types",
+            sessionA.remoteHandles("typeB"));
+        jqUnit.assertFalse("remoteHandles should return false for other request types",
+            sessionA.remoteHandles("typeA"));
+        jqUnit.start();
+    }, {
+        versions: [1, 2, 3, 5],
+        requestTypes: ["typeA"],
+        features: ["f1", "f2"]
+    }, {
+        versions: [1, 3, 4],
+        requestTypes: ["typeB"],
+        features: ["f2", "f3"]
+    });
+});
+
+jqUnit.asyncTest("Test handshake with no common version", function () {
+    jqUnit.expect(1);
+
+    createSocketPair(function (socketA, socketB) {
+        var sessionA = messaging.createSession(socketA, "test-session", {versions: [1, 2]});
+        messaging.createSession(socketB, "test-session", {versions: [3]}).on("error", function () {});
+
+        sessionA.on("ready", function () {
+            jqUnit.fail("Session should not be ready");
+        });
+        sessionA.on("error", function (err) {
+            jqUnit.assertTrue("Error should be about the version", err.message.indexOf("version") >= 0);
+            jqUnit.start();
+        });
+    });
+});
+
+jqUnit.asyncTest("Test handshake with an older remote end", function () {
+    jqUnit.expect(2);
+
+    createSocketPair(function (socketA, socketB) {
+        var sessionA = messaging.createSession(socketA, "test-session", {features: ["f1"]});
+
+        sessionA.on("ready", function () {
+            jqUnit.assertEquals("Protocol version 1 should be used", 1, sessionA.protocolVersion);
+            jqUnit.assertDeepEq("No features should be enabled", [], sessionA.features);
+            socketB.end();
+            jqUnit.start();
+        });
+
+        // The original handshake only sends the session type.
+        socketB.write(messaging.createFrame(Buffer.from("test-session"), sessionA.frameOptions));
+    });
+});
+
+jqUnit.asyncTest("Test invalid hello messages", function () {
+    var hellos = [
+        {hello: "test-session", versions: [1], features: 5},
+        {hello: "test-session", versions: [1], requestTypes: 5},
+        {hello: "test-session", versions: [1], features: "xstreamsx"},
+        {hello: "test-session", versions: [1], encodings: [1]},
+        {hello: "test-session", versions: "1"},
+        {hello: 5, versions: [1]}
+    ];
+    jqUnit.expect(hellos.length * 3);
+
+    Promise.each(hellos, function (hello) {
+        return new Promise(function (resolve) {
+            createSocketPair(function (socketA, socketB) {
+                var sessionA = messaging.createSession(socketA, "test-session", {features: ["streams"]});
+                var suffix = " - " + JSON.stringify(hello);
+
+                sessionA.on("ready", function () {
+                    jqUnit.fail("Session should not be ready" + suffix);
+                });
+                sessionA.on("error", function (err) {
+                    jqUnit.assertEquals("Error code should be invalid-message" + suffix, "invalid-message",
+                        err.data && err.data.code);
+                    jqUnit.assertFalse("The handshake should not complete" + suffix, sessionA.handshakeComplete);
+                });
+                sessionA.on("close", function () {
+                    jqUnit.assert("Session should be closed" + suffix);
+                    socketB.destroy();
+                    resolve();
+                });
+
+                socketB.write(messaging.createFrame(Buffer.from(JSON.stringify(hello)), sessionA.frameOptions));
+            });
+        });
+    }).then(function () {
+        jqUnit.start();
+    });
+});
+
+jqUnit.asyncTest("Test outbound queue", function () {
+    var pipe = createFakePipe();
+    var session = messaging.createSession(pipe, "test-session", {
+        // 2 byte length, so each frame of the payload below is 100 bytes.
+        frame: {
+            lengthBytes: 2
+        },
+        queue: {
+            highWaterMark: 250,
+            limit: 400,
+            overflow: "fail"
+        }
+    });
+
+    var events = [];
+    ["stalled", "drain", "message-dropped"].forEach(function (eventName) {
+        session.on(eventName, function () {
+            events.push(eventName);
+        });
+    });
+
+    var payload = "x".repeat(98);
+    // The hello message.
+    jqUnit.assertEquals("The hello message should be written", 1, pipe.written.length);
+
+    // The pipe accepts this one, but is then full.
+    pipe.blocked = true;
+    session.sendMessage({notify: "first"});
+    jqUnit.assertEquals("First message should be written", 2, pipe.written.length);
+
+    // These get queued (each frame is 100 bytes).
+    var failedRequest = session.request("test", payload, {timeout: 0});
+    session.sendMessage(payload);
+    jqUnit.assertEquals("Messages should be queued", 2, pipe.written.length);
+    jqUnit.assertDeepEq("No events before the high-water mark", [], events);
+
+    session.sendMessage(payload);
+    jqUnit.assertDeepEq("Stalled event at the high-water mark", ["stalled"], events);
+
+    session.sendMessage(payload);
+    session.sendMessage(payload);
+    jqUnit.assertDeepEq("Oldest message should be dropped at the limit", ["stalled", "message-dropped"], events);
+    jqUnit.assertEquals("Queue should be at the limit", 400, session.outQueueBytes);
+
+    failedRequest.then(function () {
+        jqUnit.fail("Dropped request should fail");
+    }, function (err) {
+        jqUnit.assertEquals("Dropped request should fail", "queue-overflow", err.data.code);
+
+        pipe.unblock();
+        jqUnit.assertEquals("Queued messages should be written after drain", 6, pipe.written.length);
+        jqUnit.assertEquals("Queue should be empty", 0, session.channels.control.queue.length);
+        jqUnit.assertDeepEq("Drain event when the queue is emptied", ["stalled", "message-dropped", "drain"], events);
+
+        session.close();
+        jqUnit.start();
+    });
+});
+
+jqUnit.test("Test channel priority", function () {
+    var pipe = createFakePipe();
+    var session = messaging.createSession(pipe, "test-session");
+    var logs = session.channel("logs");
+
+    var stalled = [];
+    session.on("stalled", function (queuedBytes, channelName) {
+        stalled.push(channelName);
+    });
+
+    // Flood the logs channel while the pipe is blocked.
+    pipe.blocked = true;
+    session.sendMessage("first");
+    logs.sendNotification("log", "x".repeat(300 * 1024));
+    logs.sendNotification("log", "second");
+    logs.sendNotification("log", "third");
+    jqUnit.assertDeepEq("Only the flooded channel should stall", ["logs"], stalled);
+
+    session.sendNotification("control");
+    jqUnit.assertEquals("Total queue size", session.channels.logs.queueBytes + session.channels.control.queueBytes,
+        session.outQueueBytes);
+
+    var decode = function (frame) {
+        return messageEncoding.decode(frame.slice(session.frameOptions.lengthBytes), session.encoding);
+    };
+
+    // Room for two messages: the control message is written first.
+    pipe.unblock(2);
+    var written = pipe.written.slice(-2).map(decode);
+    jqUnit.assertDeepEq("Control channel message is written before the backlog", {notify: "control"}, written[0]);
+    jqUnit.assertEquals("Logs channel message should be written next", "logs", written[1].channel);
+
+    // The rest of the logs are written in order.
+    pipe.unblock();
+    written = pipe.written.slice(-2).map(decode);
+    jqUnit.assertDeepEq("Logs channel stays in order", ["second", "third"], written.map(function (message) {
+        return message.data;
+    }));
+    jqUnit.assertEquals("Queue should be empty", 0, session.outQueueBytes);
+
+    session.close();
+    jqUnit.assertTrue("Channels should be closed with the session", logs.closed);
+});
+
+jqUnit.test("Test session queue limit", function () {
+    var pipe = createFakePipe();
+    var session = messaging.createSession(pipe, "test-session", {
+        frame: {
+            lengthBytes: 2
+        },
+        queue: {
+            limit: 1000,
+            totalLimit: 600
+        }
+    });
+    var busy = session.channel("busy");
+    var quiet = session.channel("quiet");
+
+    var dropped = [];
+    session.on("message-dropped", function (message, channelName) {
+        dropped.push(channelName);
+    });
+
+    pipe.blocked = true;
+    session.sendMessage("first");
+
+    var payload = "x".repeat(100);
+    busy.sendNotification("a", payload);
+    busy.sendNotification("b", payload);
+    busy.sendNotification("c", payload);
+    quiet.sendNotification("d", payload);
+    jqUnit.assertDeepEq("Nothing should be dropped within the limits", [], dropped);
+
+    session.sendNotification("e", payload);
+    busy.sendNotification("f", payload);
+    jqUnit.assertTrue("The queues should be kept within the session limit", session.outQueueBytes <= 600);
+    jqUnit.assertDeepEq("Messages should be dropped from the busiest channel", ["busy", "busy"], dropped);
+    jqUnit.assertEquals("The other channels should keep their messages", 1, quiet.queue.length);
+    jqUnit.assertEquals("The control channel should keep its message", 1, session.channels.control.queue.length);
+
+    session.close();
+});
+
+jqUnit.test("Test frame options", function () {
+    var payload = Buffer.from("abc");
+    var tests = [
+        { options: {}, header: [3, 0, 0, 0] },
+        { options: { lengthBytes: 2, endian: "BE" }, header: [0, 3] },
+        { options: { lengthBytes: 3, endian: "LE" }, header: [3, 0, 0] },
+        { options: { lengthBytes: 1 }, header: [3] }
+    ];
+
+    tests.forEach(function (test) {
+        var frameOptions = messaging.getFrameOptions(test.options);
+        var frame = messaging.createFrame(payload, frameOptions);
+        var expected = Buffer.concat([Buffer.from(test.header), payload]);
+        jqUnit.assertDeepEq("Frame should be correct for " + JSON.stringify(test.options),
+            expected.toJSON(), frame.toJSON());
+        jqUnit.assertEquals("readFrameLength should read the length for " + JSON.stringify(test.options),
+            3, messaging.readFrameLength(frame, frameOptions));
+    });
+
+    jqUnit.assertEquals("maxSize should be limited by the length field", 255,
+        messaging.getFrameOptions({ lengthBytes: 1 }).maxSize);
+
+    var badOptions = [{ lengthBytes: 0 }, { lengthBytes: 8 }, { lengthBytes: 2.5 }, { endian: "big" }];
+    badOptions.forEach(function (options) {
+        try {
+            messaging.getFrameOptions(options);
+            jqUnit.fail("Bad frame options should throw: " + JSON.stringify(options));
+        } catch (e) {
+            jqUnit.assert("Bad frame options should throw: " + JSON.stringify(options));
+        }
+    });
+
+    try {
+        messaging.createFrame(Buffer.alloc(11), messaging.getFrameOptions({ maxSize: 10 }));
+        jqUnit.fail("createFrame should throw if the payload is too large");
+    } catch (e) {
+        jqUnit.assert("createFrame should throw if the payload is too large");
+    }
+});
+
+jqUnit.asyncTest("Test maximum frame size", function () {
+    jqUnit.expect(4);
+
+    createSocketPair(function (socketA, socketB) {
+        var session = messaging.createSession(socketA, "test-session", { frame: { maxSize: 1000 } });
+        session.on("error", function (err) {
+            jqUnit.assertEquals("Oversized frame should be an error", "frame-too-large", err.data.code);
+            jqUnit.assertEquals("Error should contain the announced size", 0xffffffff, err.data.size);
+        });
+        session.on("close", function () {
+            jqUnit.assertTrue("Session should be closed", session.closed);
+            jqUnit.assertEquals("Buffer should be discarded", 0, session.buffer.length);
+            jqUnit.start();
+        });
+
+        // Announce a 4GB frame.
+        socketB.write(Buffer.from([0xff, 0xff, 0xff, 0xff, 1, 2, 3]));
+    });
+});
+
+jqUnit.asyncTest("Test short stream frame", function () {
+    jqUnit.expect(2);
+
+    createTestSessionPair(function (sessionA, sessionB, socketB) {
+        sessionA.on("error", function (err) {
+            jqUnit.assertEquals("A short stream frame should be an error", "invalid-frame", err.data.code);
+        });
+        sessionA.on("close", function () {
+            jqUnit.assertTrue("Session should be closed", sessionA.closed);
+            jqUnit.start();
+        });
+
+        // A stream frame, without the whole stream id.
+        socketB.write(Buffer.from([2, 0, 0, 0, messaging.streamFrameMarker, 1]));
+    });
+});
+
+jqUnit.asyncTest("Test incoming stream limits", function () {
+    jqUnit.expect(5);
+
+    var defaults = Object.assign({}, messaging.streamDefaults);
+    teardowns.push(function () {
+        Object.assign(messaging.streamDefaults, defaults);
+    });
+    Object.assign(messaging.streamDefaults, {
+        maxIncoming: 2,
+        maxTotalBuffered: 100,
+        maxFinished: 3
+    });
+
+    createTestSessionPair(function (sessionA) {
+        var streamData = function (streamId, length) {
+            var payload = Buffer.alloc(messaging.streamHeaderBytes + length);
+            payload[0] = messaging.streamFrameMarker;
+            payload.writeUInt32LE(streamId, 1);
+            sessionA.gotStreamData(payload);
+        };
+
+        streamData(1, 10);
+        streamData(2, 10);
+        streamData(3, 10);
+        jqUnit.assertDeepEq("Only maxIncoming streams should be open", ["1", "2"],
+            Object.keys(sessionA.incomingStreams));
+        jqUnit.assertTrue("The extra stream should be finished", sessionA.finishedIncomingStreams[3]);
+
+        var readable = sessionA.acceptStream(2);
+        readable.on("error", function (err) {
+            jqUnit.assertEquals("The stream exceeding the total should be aborted",
+                "Too much unread data for all streams", err.message);
+
+            for (var streamId = 10; streamId < 20; streamId++) {
+                sessionA.finishIncomingStream(streamId);
+            }
+            jqUnit.assertEquals("Only maxFinished stream ids should be remembered", 3,
+                Object.keys(sessionA.finishedIncomingStreams).length);
+            jqUnit.assertDeepEq("The newest finished ids should be kept", [17, 18, 19],
+                sessionA.finishedIncomingOrder);
+            jqUnit.start();
+        });
+        streamData(2, 100);
+    });
+});
+
+jqUnit.asyncTest("Test ending unknown streams", function () {
+    jqUnit.expect(4);
+
+    createTestSessionPair(function (sessionA) {
+        var abortError = new Error("aborted");
+        for (var streamId = 1; streamId <= 40; streamId++) {
+            sessionA.endIncomingStream(streamId, streamId === 39 ? abortError : undefined);
+        }
+        jqUnit.assertDeepEq("Ending streams that weren't opened should not open them", [],
+            Object.keys(sessionA.incomingStreams));
+
+        sessionA.acceptStream(40).on("error", function (err) {
+            jqUnit.fail("An empty stream should not fail: " + err.message);
+        }).on("end", function () {
+            jqUnit.assert("An empty stream should end when accepted");
+
+            sessionA.acceptStream(39).on("error", function (err) {
+                jqUnit.assertEquals("A stream aborted before any data should fail when accepted", abortError, err);
+                jqUnit.assertNull("A stream should only be accepted once", sessionA.acceptStream(39));
+                jqUnit.start();
+            });
+        }).resume();
+    });
+});
+
+/**
+ * Reads all of a stream.
+ *
+ * @param readable {stream.Readable} The stream.
+ * @return {Promise} Resolves with the data when the stream ends.
+ */
+function readAll(readable) {
+    return new Promise(function (resolve, reject) {
+        var chunks = [];
+        readable.on("data", function (chunk) {
+            chunks.push(chunk);
+        });
+        readable.on("end", function () {
+            resolve(Buffer.concat(chunks));
+        });
+        readable.on("error", reject);
+    });
+}
+
+
+// These tests are ran with each encoding.
+Object.keys(messageEncoding.encodings).forEach(function (encodingName) {
+    jqUnit.module("GPII pipe messaging tests (" + encodingName + ")", {
+        teardown: function () {
+            while (teardowns.length) {
+                teardowns.pop()();
+            }
+        }
+    });
+
+    /**
+     * Creates a pair of sessions using the encoding, connected to each other, which are closed after the test.
+     *
+     * @param callback {Function(sessionA,sessionB,socketB)} Called when both sessions are ready.
+     * @param optionsA {Object} [optional] Options for the first session.
+     * @param optionsB {Object} [optional] Options for the second session.
+     */
+    var createSessionPair = function (callback, optionsA, optionsB) {
+        var encodingOptions = {
+            encodings: [encodingName]
+        };
+        createTestSessionPair(callback, Object.assign(encodingOptions, optionsA), Object.assign({}, encodingOptions, optionsB));
+    };
+
+    jqUnit.asyncTest("Test Buffers in messages", function () {
+        jqUnit.expect(3);
+
+        createSessionPair(function (sessionA, sessionB) {
+            jqUnit.assertEquals("Session should use the encoding", encodingName, sessionA.encoding);
+            sessionA.requestHandler = function (type, data) {
+                jqUnit.assertTrue("Buffer should be received as a Buffer", Buffer.isBuffer(data.buffer));
+                return {
+                    buffer: Buffer.concat([data.buffer, Buffer.from([0, 255])])
+                };
+            };
+
+            sessionB.request("buffer", {buffer: Buffer.from("abc")}).then(function (result) {
+                jqUnit.assertDeepEq("Buffer should be returned", Buffer.from("abc\u0000\u00ff", "latin1").toJSON(),
+                    result.buffer.toJSON());
+                jqUnit.start();
+            });
+        });
+    });
+
+    jqUnit.asyncTest("Test requests in both directions", function () {
+        jqUnit.expect(5);
+
+        createSessionPair(function (sessionA, sessionB) {
+            sessionA.requestHandler = function (type, data) {
+                jqUnit.assertEquals("Request type should be passed to the handler", "add", type);
+                return data.a + data.b;
+            };
+            sessionB.requestHandler = function (type, data) {
+                jqUnit.assertEquals("Request type should be passed to the handler", "upper", type);
+                // Resolve asynchronously.
+                return new Promise(function (resolve) {
+                    setTimeout(resolve, 10, data.toUpperCase());
+                });
+            };
+
+            var requests = [
+                sessionB.request("add", {a: 1, b: 2}),
+                sessionA.request("upper", "hello"),
+                sessionB.request("add", {a: 40, b: 2})
+            ];
+
+            Promise.all(requests).then(function (results) {
+                jqUnit.assertDeepEq("Each response should match the request", [3, "HELLO", 42], results);
+                jqUnit.assertDeepEq("There should be no pending requests",
+                    [{}, {}], [sessionA.pendingRequests, sessionB.pendingRequests]);
+                jqUnit.start();
+            }, function (err) {
+                jqUnit.fail("Requests should not fail: " + err);
+            });
+        });
+    });
+
+    jqUnit.asyncTest("Test request errors", function () {
+        jqUnit.expect(3);
+
+        createSessionPair(function (sessionA, sessionB) {
+            sessionA.requestHandler = function (type) {
+                var err = new Error("Failed " + type);
+                err.data = {code: 123};
+                throw err;
+            };
+
+            sessionB.request("thrown").then(function () {
+                jqUnit.fail("Request should have been rejected");
+            }, function (err) {
+                jqUnit.assertEquals("Error message should be from the handler", "Failed thrown", err.message);
+                jqUnit.assertDeepEq("Error data should be from the handler", {code: 123}, err.data);
+
+                // No handler on the other end.
+                return sessionA.request("no-handler");
+            }).then(function () {
+                jqUnit.fail("Request without a handler should have been rejected");
+            }, function (err) {
+                jqUnit.assertTrue("Request without a handler should be rejected", !!err);
+                jqUnit.start();
+            });
+        });
+    });
+
+    jqUnit.asyncTest("Test request timeout and close", function () {
+        jqUnit.expect(3);
+
+        createSessionPair(function (sessionA, sessionB) {
+            // Never replies.
+            sessionA.requestHandler = function () {
+                return new Promise(function () {});
+            };
+
+            // The deadline is later, so the remote end doesn't give up first.
+            sessionB.request("slow", null, {timeout: 50, deadline: Date.now() + 5000}).then(function () {
+                jqUnit.fail("Request should have timed out");
+            }, function (err) {
+                jqUnit.assertTrue("Request should time out", err.message.indexOf("timed out") >= 0);
+
+                var pending = sessionB.request("slow", null, {timeout: 0});
+                sessionB.close();
+                return pending;
+            }).then(function () {
+                jqUnit.fail("Request should have been rejected when the session closed");
+            }, function (err) {
+                jqUnit.assertTrue("Pending requests should be rejected when the session closes",
+                    err.message.indexOf("closed") >= 0);
+                return sessionB.request("after-close");
+            }).then(function () {
+                jqUnit.fail("Request on a closed session should be rejected");
+            }, function () {
+                jqUnit.assert("Request on a closed session should be rejected");
+                jqUnit.start();
+            });
+        });
+    });
+
+    jqUnit.asyncTest("Test heartbeat", function () {
+        jqUnit.expect(5);
+
+        createSessionPair(function (sessionA, sessionB, socketB) {
+            var missed = [];
+            sessionA.on("heartbeat-missed", function (count) {
+                missed.push(count);
+            });
+
+            sessionA.on("unresponsive", function (count) {
+                jqUnit.assertEquals("Should be unresponsive after missLimit heartbeats", 2, count);
+                jqUnit.assertDeepEq("Each missed heartbeat should be reported", [1, 2], missed);
+                // Start reading again.
+                socketB.resume();
+            });
+
+            sessionA.on("responsive", function () {
+                jqUnit.assert("Should be responsive again");
+                jqUnit.assertEquals("Missed count should be reset", 0, sessionA.heartbeat.missed);
+                sessionA.close();
+                jqUnit.assertNull("Heartbeat should stop when the session closes", sessionA.heartbeat);
+                jqUnit.start();
+            });
+
+            // Stop reading from one end, so it doesn't reply.
+            socketB.pause();
+            sessionA.startHeartbeat({
+                interval: 20,
+                timeout: 30,
+                missLimit: 2
+            });
+        });
+    });
+
+    jqUnit.asyncTest("Test malformed messages", function () {
+        jqUnit.expect(3);
+
+        createSessionPair(function (sessionA, sessionB) {
+            sessionA.requestHandler = function () {
+                jqUnit.fail("Malformed requests should not reach the handler");
+            };
+
+            sessionA.on("error", function (err) {
+                jqUnit.assertEquals("Malformed message should be an error", "invalid-message", err.data.code);
+            });
+
+            sessionB.on("message", function () {
+                jqUnit.fail("No reply should be a plain message");
+            });
+
+            // A request with a bad type should be replied to with an error.
+            sessionB.pendingRequests["bad-1"] = {
+                resolve: function () {
+                    jqUnit.fail("Malformed request should not succeed");
+                },
+                reject: function (err) {
+                    jqUnit.assertEquals("Malformed request should get an error", "invalid-message", err.data.code);
+                    jqUnit.assertTrue("Error should explain the problem", err.message.indexOf("message.type") >= 0);
+                    jqUnit.start();
+                }
+            };
+            sessionB.sendMessage(["not an object"]);
+            sessionB.sendMessage({request: "bad-1", type: 123});
+        });
+    });
+
+    jqUnit.asyncTest("Test replies that can't be sent", function () {
+        jqUnit.expect(6);
+
+        createSessionPair(function (sessionA, sessionB) {
+            var circular = {};
+            circular.self = circular;
+            var results = {
+                circular: circular,
+                large: "x".repeat(2000),
+                ok: "still working"
+            };
+            sessionB.requestHandler = function (type) {
+                return results[type];
+            };
+
+            var expectError = function (type) {
+                return sessionA.request(type).then(function () {
+                    jqUnit.fail("The '" + type + "' request should fail");
+                }, function (err) {
+                    jqUnit.assertEquals("The '" + type + "' request should get an error", "reply-failed",
+                        err.data && err.data.code);
+                    jqUnit.assertDeepEq("The '" + type + "' request should no longer be active", [],
+                        Object.keys(sessionB.activeRequests));
+                });
+            };
+
+            expectError("circular").then(function () {
+                return expectError("large");
+            }).then(function () {
+                return sessionA.request("ok");
+            }).then(function (result) {
+                jqUnit.assertEquals("The session should still work", "still working", result);
+                jqUnit.assertDeepEq("The request should no longer be active", [],
+                    Object.keys(sessionB.activeRequests));
+                jqUnit.start();
+            });
+        }, null, { frame: { maxSize: 1000 } });
+    });
+
+    jqUnit.asyncTest("Test replies for unknown requests", function () {
+        jqUnit.expect(1);
+
+        createSessionPair(function (sessionA, sessionB) {
+            sessionB.requestHandler = function () {
+                return "still working";
+            };
+
+            // Ids that are properties of a plain object.
+            sessionA.sendMessage({response: "constructor"});
+            sessionA.sendMessage({error: "toString", message: "no such request"});
+            sessionA.sendMessage({response: "__proto__"});
+
+            sessionA.request("test").then(function (result) {
+                jqUnit.assertEquals("The session should still work", "still working", result);
+                jqUnit.start();
+            });
+        });
+    });
+
+    jqUnit.asyncTest("Test cancelling unknown requests", function () {
+        jqUnit.expect(1);
+
+        createSessionPair(function (sessionA, sessionB) {
+            sessionA.requestHandler = function () {
+                return "still working";
+            };
+
+            sessionB.sendMessage({cancel: "toString", message: "no such request"});
+            sessionB.sendMessage({cancel: "no-such-request"});
+
+            sessionB.request("test").then(function (result) {
+                jqUnit.assertEquals("The session should still work", "still working", result);
+                jqUnit.start();
+            });
+        });
+    });
+
+    jqUnit.asyncTest("Test channel names", function () {
+        jqUnit.expect(3);
+
+        createSessionPair(function (sessionA, sessionB) {
+            var notified = [];
+            sessionA.on("notification", function (name, data, channelName) {
+                notified.push(channelName);
+            });
+            sessionA.requestHandler = function () {
+                return "answered";
+            };
+
+            // Names that are properties of a plain object.
+            sessionB.channel("toString").sendNotification("test");
+            sessionB.channel("__proto__").sendNotification("test");
+            sessionB.channel("constructor").request("test").then(function (result) {
+                jqUnit.assertEquals("A request should be answered on the channel", "answered", result);
+                jqUnit.assertDeepEq("Notifications should be received on the channels", ["toString", "__proto__"],
+                    notified);
+                jqUnit.assertTrue("The channels should be opened", sessionA.channels.toString instanceof
+                    messaging.Channel);
+                jqUnit.start();
+            });
+        });
+    });
+
+    jqUnit.asyncTest("Test framing with other options", function () {
+        jqUnit.expect(1);
+
+        var options = {
+            frame: { lengthBytes: 2, endian: "BE" }
+        };
+
+        createSessionPair(function (sessionA, sessionB) {
+            sessionA.requestHandler = function (type, data) {
+                return data;
+            };
+            sessionB.request("echo", "hello").then(function (result) {
+                jqUnit.assertEquals("Request should work with other framing options", "hello", result);
+                jqUnit.start();
+            });
+        }, options, options);
+    });
+
+    jqUnit.asyncTest("Test streams", function () {
+        jqUnit.expect(5);
+
+        // Larger than a chunk, to be sent in several frames.
+        var uploadData = Buffer.alloc(messaging.streamDefaults.chunkSize * 2 + 123);
+        for (var n = 0; n < uploadData.length; n++) {
+            uploadData[n] = n % 251;
+        }
+
+        createSessionPair(function (sessionA, sessionB) {
+            jqUnit.assertTrue("Streams feature should be enabled", sessionA.hasFeature("streams"));
+
+            sessionA.requestHandler = function (type, data) {
+                if (type === "upload") {
+                    // Read the stream the remote end opened.
+                    return readAll(sessionA.acceptStream(data.stream)).then(function (received) {
+                        return received.length;
+                    });
+                } else if (type === "download") {
+                    // Open a stream to the remote end, and return its id.
+                    var writable = sessionA.openStream();
+                    writable.write("download ");
+                    setTimeout(function () {
+                        writable.end("data");
+                    }, 10);
+                    return {stream: writable.streamId};
+                }
+            };
+
+            var upload = sessionB.openStream();
+            var uploadRequest = sessionB.request("upload", {stream: upload.streamId});
+            upload.write(uploadData.slice(0, 100));
+            upload.end(uploadData.slice(100));
+
+            var downloadId;
+            uploadRequest.then(function (length) {
+                jqUnit.assertEquals("All the uploaded data should be received", uploadData.length, length);
+                return sessionB.request("download");
+            }).then(function (result) {
+                downloadId = result.stream;
+                return readAll(sessionB.acceptStream(downloadId));
+            }).then(function (received) {
+                jqUnit.assertEquals("Downloaded data should be received", "download data", received.toString());
+                jqUnit.assertDeepEq("No streams should remain", [{}, {}, {}, {}],
+                    [sessionA.incomingStreams, sessionA.outgoingStreams, sessionB.incomingStreams,
+                        sessionB.outgoingStreams]);
+                jqUnit.assertNull("A finished stream can't be accepted again", sessionB.acceptStream(downloadId));
+                jqUnit.start();
+            }, function (err) {
+                jqUnit.fail("Streams should work: " + err.stack);
+            });
+        });
+    });
+
+    jqUnit.asyncTest("Test stream aborts", function () {
+        jqUnit.expect(3);
+
+        createSessionPair(function (sessionA, sessionB) {
+            // Writer aborts.
+            var writable = sessionB.openStream();
+            var readable = sessionA.acceptStream(writable.streamId);
+            writable.write("some data");
+
+            readable.on("error", function (err) {
+                jqUnit.assertEquals("Reader should get an error when the writer aborts", "stream-aborted", err.data.code);
+
+                // Reader aborts.
+                var writable2 = sessionB.openStream();
+                writable2.on("error", function (err) {
+                    jqUnit.assertEquals("Writer should get an error when the reader aborts",
+                        "stream-aborted", err.data.code);
+
+                    // Session closes.
+                    var writable3 = sessionB.openStream();
+                    writable3.on("error", function (err) {
+                        jqUnit.assertEquals("Stream should fail when the session closes", "Session closed", err.message);
+                        jqUnit.start();
+                    });
+                    sessionB.close();
+                });
+                sessionA.acceptStream(writable2.streamId).destroy();
+            });
+
+            writable.on("error", function () {});
+            setTimeout(function () {
+                writable.destroy(new Error("writer aborted"));
+            }, 10);
+        });
+    });
+
+    jqUnit.asyncTest("Test stream aborted before being accepted", function () {
+        jqUnit.expect(1);
+
+        createSessionPair(function (sessionA, sessionB) {
+            sessionA.requestHandler = function (type, data) {
+                sessionA.acceptStream(data.stream).on("error", function (err) {
+                    jqUnit.assertEquals("Accepted stream should get the abort error", "stream-aborted", err.data.code);
+                    jqUnit.start();
+                });
+            };
+
+            var writable = sessionB.openStream();
+            writable.on("error", function () {});
+            writable.write("some data");
+            writable.destroy(new Error("writer aborted"));
+            sessionB.request("upload", {stream: writable.streamId});
+        });
+    });
+
+    jqUnit.asyncTest("Test request cancellation", function () {
+        jqUnit.expect(5);
+
+        createSessionPair(function (sessionA, sessionB) {
+            sessionA.requestHandler = function (type, data, request) {
+                return new Promise(function (resolve) {
+                    request.signal.on("abort", function (reason) {
+                        jqUnit.assertEquals("Handler should be aborted by the cancel", "cancelled", reason.data.code);
+                        jqUnit.assertDeepEq("Request should no longer be active", {}, sessionA.activeRequests);
+                        resolve("too late");
+                        setTimeout(jqUnit.start, 20);
+                    });
+                });
+            };
+
+            sessionB.on("message", function () {
+                jqUnit.fail("The result of a cancelled request should not be sent");
+            });
+
+            var promise = sessionB.request("long");
+            promise.then(function () {
+                jqUnit.fail("Cancelled request should not resolve");
+            }, function (err) {
+                jqUnit.assertEquals("Cancelled request should reject", "cancelled", err.data.code);
+            });
+
+            // Wait for it to start.
+            setTimeout(function () {
+                jqUnit.assertTrue("cancel should return true for a pending request", sessionB.cancel(promise.requestId));
+                jqUnit.assertFalse("cancel should return false for an unknown request", sessionB.cancel("unknown"));
+            }, 20);
+        });
+    });
+
+    jqUnit.asyncTest("Test replies after the channel is closed", function () {
+        jqUnit.expect(3);
+
+        var unhandled = function (err) {
+            jqUnit.fail("Unhandled rejection: " + err.message);
+        };
+        process.on("unhandledRejection", unhandled);
+        teardowns.push(function () {
+            process.removeListener("unhandledRejection", unhandled);
+        });
+
+        createSessionPair(function (sessionA, sessionB) {
+            var started = 0;
+            sessionA.requestHandler = function (type) {
+                if (++started === 2) {
+                    // Both requests are being handled; the remote end closes their channel.
+                    tasks.close();
+                }
+                // "reply" is replied to after the close; "late" passes its deadline after it.
+                return type === "reply" ? Promise.delay(30) : new Promise(function () {});
+            };
+
+            var tasks = sessionB.channel("tasks");
+            tasks.request("reply", null, {timeout: 0}).then(null, function () {});
+            tasks.request("late", null, {timeout: 0, deadline: Date.now() + 30}).then(null, function () {});
+
+            setTimeout(function () {
+                jqUnit.assertDeepEq("The requests should no longer be active", {}, sessionA.activeRequests);
+                jqUnit.assertTrue("The channel should be closed", sessionA.channels.tasks.closed);
+
+                // The control channel can't be closed by the remote end.
+                sessionA.once("error", function () {
+                    jqUnit.assertFalse("The control channel should stay open", sessionA.channels.control.closed);
+                    jqUnit.start();
+                });
+                sessionB.sendMessage({channelClose: "control"});
+            }, 100);
+        });
+    });
+
+    jqUnit.asyncTest("Test channel limit", function () {
+        jqUnit.expect(4);
+
+        createSessionPair(function (sessionA, sessionB) {
+            var errors = [];
+            sessionA.on("error", function (err) {
+                errors.push(err.data.code);
+            });
+
+            // The control channel and one more.
+            sessionB.channel("first").sendNotification("opened");
+            sessionB.channel("second").request("refused", null, {timeout: 0}).then(function () {
+                jqUnit.fail("A request on a refused channel should fail");
+            }, function (err) {
+                jqUnit.assertEquals("A request on a refused channel should fail", "too-many-channels", err.data.code);
+                jqUnit.assertDeepEq("The refused channel should be reported", ["too-many-channels"], errors);
+                jqUnit.assertTrue("The first channel should be opened", !!sessionA.channels.first);
+                jqUnit.assertFalse("The refused channel should not be opened", !!sessionA.channels.second);
+                jqUnit.start();
+            });
+        }, {maxChannels: 2});
+    });
+
+    jqUnit.asyncTest("Test channels", function () {
+        jqUnit.expect(10);
+
+        createSessionPair(function (sessionA, sessionB) {
+            sessionA.requestHandler = function (type, data, request) {
+                jqUnit.assertEquals("Request should arrive on the channel", "tasks", request.channel);
+                return data * 2;
+            };
+
+            sessionA.once("channel", function (channel) {
+                jqUnit.assertEquals("Remote end should see the new channel", "tasks", channel.name);
+
+                channel.on("notification", function (name, data) {
+                    jqUnit.assertEquals("Notification should arrive on the channel", "progress", name);
+                    jqUnit.assertEquals("Notification data", 50, data);
+                });
+                channel.once("close", function () {
+                    jqUnit.assertTrue("Channel should be closed by the remote end", channel.closed);
+                    jqUnit.assertFalse("Other channels should remain open", sessionA.channels.control.closed);
+
+                    // Using the channel again re-opens it.
+                    sessionB.channel("tasks").request("double", 3).then(function (result) {
+                        jqUnit.assertEquals("Re-opened channel should work", 6, result);
+                        jqUnit.start();
+                    });
+                });
+            });
+
+            var tasks = sessionB.channel("tasks");
+            tasks.sendNotification("progress", 50);
+            tasks.request("double", 21).then(function (result) {
+                jqUnit.assertEquals("Response should be received on the channel", 42, result);
+                tasks.close();
+                try {
+                    tasks.sendNotification("progress", 100);
+                    jqUnit.fail("Closed channel should not send");
+                } catch (e) {
+                    jqUnit.assertTrue("Closed channel should not send", tasks.closed);
+                }
+            });
+        });
+    });
+
+    jqUnit.asyncTest("Test authenticated requests", function () {
+        jqUnit.expect(3);
+
+        var secret = crypto.randomBytes(32);
+        createSessionPair(function (sessionA, sessionB, socketB) {
+            sessionA.requestHandler = function (type) {
+                return type + " done";
+            };
+
+            // Capture what's sent, to replay it.
+            var lastWritten = null;
+            var write = socketB.write;
+            socketB.write = function (data) {
+                lastWritten = data;
+                return write.apply(socketB, arguments);
+            };
+
+            sessionB.request("privileged").then(function (result) {
+                jqUnit.assertEquals("Authenticated request should be handled", "privileged done", result);
+                jqUnit.assertEquals("Request should be in an authenticated frame", messaging.authFrameMarker,
+                    lastWritten[sessionB.frameOptions.lengthBytes]);
+
+                sessionA.once("authentication-failed", function (err) {
+                    jqUnit.assertEquals("Replayed request should be rejected", "unauthenticated", err.data.code);
+                    jqUnit.start();
+                });
+                socketB.write(lastWritten);
+            });
+        }, {
+            secret: secret
+        }, {
+            secret: secret
+        });
+    });
+
+    jqUnit.asyncTest("Test unauthenticated requests", function () {
+        jqUnit.expect(3);
+
+        createSessionPair(function (sessionA, sessionB) {
+            sessionA.requestHandler = function () {
+                jqUnit.fail("Unauthenticated request should not be handled");
+            };
+
+            sessionB.request("ping").then(function () {
+                jqUnit.assertTrue("Built-in requests don't need authentication", true);
+                return sessionB.request("privileged");
+            }).then(function () {
+                jqUnit.fail("Request with the wrong secret should fail");
+            }, function (err) {
+                jqUnit.assertEquals("Request with the wrong secret should fail", "unauthenticated", err.data.code);
+
+                // Without a secret, requests aren't signed.
+                sessionB.secret = null;
+                return sessionB.request("privileged");
+            }).then(function () {
+                jqUnit.fail("Request without a HMAC should fail");
+            }, function (err) {
+                jqUnit.assertEquals("Request without a HMAC should fail", "unauthenticated", err.data.code);
+                jqUnit.start();
+            });
+        }, {
+            secret: crypto.randomBytes(32)
+        }, {
+            secret: crypto.randomBytes(32)
+        });
+    });
+
+    jqUnit.asyncTest("Test request deadline", function () {
+        jqUnit.expect(4);
+
+        createSessionPair(function (sessionA, sessionB) {
+            sessionA.requestHandler = function (type, data, request) {
+                jqUnit.assertTrue("Request should have a deadline", request.deadline > Date.now());
+                return new Promise(function (resolve) {
+                    request.signal.on("abort", function (reason) {
+                        jqUnit.assertEquals("Handler should be aborted at the deadline", "deadline-exceeded",
+                            reason.data.code);
+                        resolve();
+                    });
+                });
+            };
+
+            // The deadline passes before the timeout.
+            sessionB.request("long", null, {timeout: 5000, deadline: Date.now() + 50}).then(function () {
+                jqUnit.fail("Request should fail");
+            }, function (err) {
+                jqUnit.assertEquals("Request should fail when the deadline passes", "deadline-exceeded", err.data.code);
+
+                // The session closing aborts active requests.
+                sessionA.requestHandler = function (type, data, request) {
+                    request.signal.on("abort", function (reason) {
+                        jqUnit.assertEquals("Handler should be aborted when the session closes", "Session closed",
+                            reason.message);
+                        jqUnit.start();
+                    });
+                    sessionB.close();
+                    return new Promise(function () {});
+                };
+                sessionB.request("long").then(null, function () {});
+            });
+        });
+    });
+
+    jqUnit.asyncTest("Test distant request deadline", function () {
+        jqUnit.expect(2);
+
+        createSessionPair(function (sessionA, sessionB) {
+            sessionA.requestHandler = function (type, data, request) {
+                jqUnit.assertNull("A deadline beyond the longest timer should not be timed",
+                    sessionA.activeRequests[request.request].timer);
+                return Promise.delay(20).then(function () {
+                    return "done";
+                });
+            };
+
+            sessionB.request("slow", null, {deadline: Date.now() + Math.pow(2, 32)}).then(function (result) {
+                jqUnit.assertEquals("Request should not be aborted", "done", result);
+                jqUnit.start();
+            }, function (err) {
+                jqUnit.fail("Request should not fail: " + err.message);
+            });
+        });
+    });
+});
@@ -0,0 +1,67 @@
+"use strict";
+
+var jqUnit = require("node-jqunit"),
+    fs = require("fs"),
+    childProcess = require("child_process"),
+    processIdentity = require("../src/process-identity.js");
+
+jqUnit.module("GPII process identity tests");
+
+jqUnit.test("Test get", function () {
+    var identity = processIdentity.get(process.pid);
+    jqUnit.assertEquals("Identity should have the pid", process.pid, identity.pid);
+    jqUnit.assertTrue("Identity should have the executable path",
+        processIdentity.samePath(fs.realpathSync(process.execPath), identity.path));
+    jqUnit.assertEquals("startTime should be numeric", "number", typeof(identity.startTime));
+
+    jqUnit.assertDeepEq("Identity should be the same each time", identity, processIdentity.get(process.pid));
+    jqUnit.assertTrue("Process should be running", processIdentity.isSameProcessRunning(identity));
+});
+
+jqUnit.test("Test equals", function () {
+    var identity = { pid: 10, startTime: 1000, path: "/usr/bin/node" };
+
+    jqUnit.assertTrue("Same identity should be equal",
+        processIdentity.equals(identity, Object.assign({}, identity)));
+    jqUnit.assertFalse("Different pid should not be equal",
+        processIdentity.equals(identity, Object.assign({}, identity, { pid: 11 })));
+    jqUnit.assertFalse("Different startTime should not be equal",
+        processIdentity.equals(identity, Object.assign({}, identity, { startTime: 1001 })));
+    jqUnit.assertFalse("Different path should not be equal",
+        processIdentity.equals(identity, Object.assign({}, identity, { path: "/usr/bin/other" })));
+    jqUnit.assertFalse("null should not be equal", processIdentity.equals(identity, null));
+
+    var reused = Object.assign(processIdentity.get(process.pid), { startTime: 1 });
+    jqUnit.assertFalse("A re-used pid should not be the same process", processIdentity.isSameProcessRunning(reused));
+});
+
+jqUnit.test("Test isParentPid", function () {
+    var parentKnown = process.platform === "win32" || process.platform === "linux";
+    jqUnit.assertEquals("The parent should be found", parentKnown, processIdentity.isParentPid(process.pid, process.ppid));
+    jqUnit.assertFalse("A child should not be a parent", processIdentity.isParentPid(process.ppid, process.pid));
+    jqUnit.assertFalse("A process should not be its own parent", processIdentity.isParentPid(process.pid, process.pid));
+    jqUnit.assertFalse("A process that isn't running has no parent", processIdentity.isParentPid(0x7ffffffe, 1));
+});
+
+jqUnit.asyncTest("Test terminated process", function () {
+    var child = childProcess.spawn(process.execPath, ["-e", "setTimeout(function () {}, 60000)"]);
+    var identity = processIdentity.get(child.pid);
+    jqUnit.assertTrue("Child should be running", processIdentity.isSameProcessRunning(identity));
+
+    child.on("exit", function () {
+        jqUnit.assertFalse("Child should not be running", processIdentity.isSameProcessRunning(identity));
+        jqUnit.assertNull("Terminated process should have no identity", processIdentity.get(child.pid));
+        jqUnit.start();
+    });
+    child.kill();
+});
+
+if (process.platform === "linux") {
+    jqUnit.test("Test getProcIdentity", function () {
+        var identity = processIdentity.getProcIdentity(process.pid);
+        // The init process started first.
+        var initIdentity = processIdentity.getProcIdentity(1);
+        jqUnit.assertTrue("startTime should be later than init's", identity.startTime >= initIdentity.startTime);
+        jqUnit.assertNull("Non-existent pid should have no identity", processIdentity.getProcIdentity(0x3fffffff));
+    });
+}
@@ -0,0 +1,122 @@
+"use strict";
+
+var jqUnit = require("node-jqunit"),
+    restartPolicy = require("../src/restart-policy.js");
+
+jqUnit.module("GPII restart policy tests");
+
+var policyOptions = {
+    initialDelay: 1000,
+    multiplier: 2,
+    jitter: 0,
+    maxDelay: 5000,
+    maxFailures: 4,
+    failureWindow: 60000,
+    healthyAfter: 10000,
+    coolOff: 100000
+};
+
+/**
+ * Starts then stops the application, after running for the given time.
+ *
+ * @param policy {RestartPolicy} The policy.
+ * @param start {Number} The start time.
+ * @param runTime {Number} How long it ran for.
+ * @return {Object} The result of policy.stopped().
+ */
+function run(policy, start, runTime) {
+    policy.started(start);
+    return policy.stopped(start + runTime);
+}
+
+jqUnit.test("Test backoff", function () {
+    var policy = new restartPolicy.RestartPolicy(Object.assign({}, policyOptions, { maxFailures: 100 }));
+
+    var delays = [];
+    var now = 0;
+    for (var n = 0; n < 5; n++) {
+        var result = run(policy, now, 100);
+        jqUnit.assertEquals("Action should be restart", "restart", result.action);
+        delays.push(result.delay);
+        now += result.delay + 100;
+    }
+    jqUnit.assertDeepEq("Delay should double, up to maxDelay", [1000, 2000, 4000, 5000, 5000], delays);
+
+    // A healthy run resets the backoff.
+    jqUnit.assertEquals("Delay should be reset after a healthy run", 1000, run(policy, now, 10000).delay);
+    jqUnit.assertEquals("Delay should increase after a healthy run", 2000, run(policy, now + 20000, 100).delay);
+});
+
+jqUnit.test("Test jitter", function () {
+    var randoms = [0, 1, 0.5];
+    var policy = new restartPolicy.RestartPolicy(Object.assign({}, policyOptions, {
+        jitter: 0.1,
+        multiplier: 1,
+        random: function () {
+            return randoms.shift();
+        }
+    }));
+
+    jqUnit.assertEquals("Delay should be reduced by the jitter", 900, run(policy, 0, 100).delay);
+    jqUnit.assertEquals("Delay should be increased by the jitter", 1100, run(policy, 20000, 100).delay);
+    jqUnit.assertEquals("Delay should be unchanged by the jitter", 1000, run(policy, 40000, 100).delay);
+});
+
+jqUnit.test("Test failure window", function () {
+    var policy = new restartPolicy.RestartPolicy(policyOptions);
+
+    run(policy, 0, 100);
+    run(policy, 10000, 100);
+    run(policy, 20000, 100);
+    jqUnit.assertEquals("There should be 3 failures", 3, policy.getFailureCount(20100));
+
+    // The first failure drops out of the window.
+    var result = run(policy, 60050, 100);
+    jqUnit.assertEquals("Action should be restart, as the first failure has expired", "restart", result.action);
+    jqUnit.assertEquals("There should be 3 failures in the window", 3, policy.getFailureCount(60150));
+
+    // Healthy runs aren't failures (the second failure also drops out of the window).
+    result = run(policy, 61000, 10000);
+    jqUnit.assertEquals("Action should be restart after a healthy run", "restart", result.action);
+    jqUnit.assertEquals("A healthy run should not be a failure", 2, policy.getFailureCount(71000));
+
+    run(policy, 72000, 100);
+    result = run(policy, 73000, 100);
+    jqUnit.assertDeepEq("Should cool-off after too many failures", { action: "cool-off", delay: 100000 }, result);
+    jqUnit.assertEquals("Failures should be cleared after cool-off", 0, policy.getFailureCount(73100));
+
+    result = run(policy, 173100, 100);
+    jqUnit.assertDeepEq("Should restart after cool-off", { action: "restart", delay: 1000 }, result);
+});
+
+jqUnit.test("Test give up", function () {
+    var policy = new restartPolicy.RestartPolicy(Object.assign({}, policyOptions, { coolOff: 0 }));
+
+    var actions = [0, 1, 2, 3].map(function (n) {
+        return run(policy, n * 10000, 100).action;
+    });
+    jqUnit.assertDeepEq("Should give up after too many failures", ["restart", "restart", "restart", "give-up"],
+        actions);
+});
+
+jqUnit.test("Test exit codes", function () {
+    var policy = new restartPolicy.RestartPolicy({
+        exitCodes: { "0": "stop", "4": "restart", "75": "restart-now" }
+    });
+
+    jqUnit.assertEquals("Exit code 0 should stop", "stop", policy.getExitAction({ exitCode: 0, signal: null }));
+    jqUnit.assertEquals("Exit code 4 should restart", "restart", policy.getExitAction({ exitCode: 4 }));
+    jqUnit.assertEquals("Exit code 75 should restart now", "restart-now", policy.getExitAction({ exitCode: 75 }));
+    jqUnit.assertNull("Other exit codes should have no action", policy.getExitAction({ exitCode: 1 }));
+    jqUnit.assertNull("A signal should have no action", policy.getExitAction({ exitCode: null, signal: "SIGKILL" }));
+    jqUnit.assertNull("An unknown exit status should have no action", policy.getExitAction(undefined));
+    jqUnit.assertNull("No exit codes should have no action",
+        new restartPolicy.RestartPolicy().getExitAction({ exitCode: 0 }));
+
+    try {
+        policy = new restartPolicy.RestartPolicy({ exitCodes: { "1": "explode" } });
+        jqUnit.fail("An unknown action should throw");
+    } catch (e) {
+        jqUnit.assertTrue("An unknown action should throw", e.message.indexOf("explode") >= 0);
+    }
+});
@@ -1 +1,86 @@
+"use strict";
 
+var jqUnit = require("node-jqunit"),
+    Promise = require("bluebird"),
+    service = require("../src/service.js");
+
+require("../src/notifications.js");
+
+var teardowns = [];
+
+jqUnit.module("GPII service tests", {
+    teardown: function () {
+        while (teardowns.length) {
+            teardowns.pop()();
+        }
+    }
+});
+
+/**
+ * Registers a request handler via a module, removing it after the test.
+ *
+ * @param mod {Object} The module.
+ * @param requestType {String} The request type.
+ * @param handler {Function} The handler.
+ */
+function addHandler(mod, requestType, handler) {
+    mod.handle(requestType, handler);
+    teardowns.push(function () {
+        delete service.requestHandlers[requestType];
+    });
+}
+
+jqUnit.asyncTest("Test request handlers", function () {
+    jqUnit.expect(10);
+
+    var testModule = service.module("testModule");
+
+    addHandler(testModule, "test-value", function (data, request) {
+        jqUnit.assertEquals("Handler should get the request data", "in", data);
+        jqUnit.assertEquals("Handler should get the request", "test-value", request.type);
+        return "out";
+    });
+    addHandler(testModule, "test-throw", function () {
+        throw new Error("thrown");
+    });
+    addHandler(testModule, "test-reject", function () {
+        return Promise.reject(new Error("rejected"));
+    });
+
+    jqUnit.assertEquals("Handler should be registered to the module",
+        "testModule", service.requestHandlers["test-value"].moduleName);
+
+    try {
+        testModule.handle("test-value", function () {});
+        jqUnit.fail("Registering a request type twice should throw");
+    } catch (e) {
+        jqUnit.assert("Registering a request type twice should throw");
+    }
+
+    service.handleRequest("test-value", "in", {type: "test-value"}).then(function (result) {
+        jqUnit.assertEquals("Handler result should be resolved", "out", result);
+        return service.handleRequest("test-throw");
+    }).then(function () {
+        jqUnit.fail("Thrown error should reject");
+    }, function (err) {
+        jqUnit.assertEquals("Thrown error should reject", "thrown", err.message);
+        return service.handleRequest("test-reject");
+    }).then(function () {
+        jqUnit.fail("Rejected promise should reject");
+    }, function (err) {
+        jqUnit.assertEquals("Rejected promise should reject", "rejected", err.message);
+        return service.handleRequest("test-unknown");
+    }).then(function () {
+        jqUnit.fail("Unknown request type should reject");
+    }, function (err) {
+        jqUnit.assertEquals("Unknown request type should reject with the standard error",
+            "unknown-request", err.data.code);
+        jqUnit.assertEquals("Unknown request type error should contain the type", "test-unknown", err.data.type);
+        return service.handleRequest("subscribe", {events: 1});
+    }).then(function () {
+        jqUnit.fail("Invalid request data should reject");
+    }, function (err) {
+        jqUnit.assertEquals("Invalid request data should reject", "invalid-request", err.data.code);
+        jqUnit.start();
+    });
+});
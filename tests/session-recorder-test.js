@@ -0,0 +1,148 @@
+"use strict";
+
+var jqUnit = require("node-jqunit"),
+    fs = require("fs"),
+    os = require("os"),
+    path = require("path"),
+    sessionRecorder = require("../src/session-recorder.js"),
+    testUtils = require("./test-utils.js");
+
+var teardowns = [];
+
+jqUnit.module("GPII session recorder tests", {
+    teardown: function () {
+        while (teardowns.length) {
+            teardowns.pop()();
+        }
+    }
+});
+
+/**
+ * Creates a directory for the recordings, which is removed after the test.
+ *
+ * @return {String} The directory.
+ */
+function createRecordingDir() {
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), "gpii-recorder-test"));
+    teardowns.push(function () {
+        fs.readdirSync(dir).forEach(function (file) {
+            fs.unlinkSync(path.join(dir, file));
+        });
+        fs.rmdirSync(dir);
+    });
+    return dir;
+}
+
+jqUnit.asyncTest("Test recording and replay", function () {
+    var dir = createRecordingDir();
+    var recorder = sessionRecorder.createRecorder(dir, "test-session");
+
+    testUtils.createSessionPair(function (sessionA, sessionB) {
+        sessionA.requestHandler = function (type, data) {
+            if (type === "fail") {
+                throw new Error("failed");
+            }
+            return data.a + data.b;
+        };
+
+        sessionB.request("add", {a: 1, b: 2}).then(function () {
+            return sessionB.request("fail", null);
+        }).then(null, function () {
+            sessionA.on("close", function () {
+                // Wait for the recorder to be closed by the session.
+                recorder.close().then(function () {
+                    var recording = sessionRecorder.readRecording(recorder.file);
+                    jqUnit.assertEquals("Header should have the session type", "test-session",
+                        recording.sessionType);
+
+                    var summary = recording.entries.map(function (entry) {
+                        var message = entry.message;
+                        return entry.direction + ":" + (message.hello ? "hello"
+                            : message.request !== undefined ? "request " + message.type
+                                : message.response !== undefined ? "response " + message.data
+                                    : "error " + message.message);
+                    });
+                    jqUnit.assertDeepEq("Frames in both directions should be recorded", [
+                        "out:hello", "in:hello", "in:request add", "out:response 3", "in:request fail", "out:error failed"
+                    ], summary);
+
+                    var timeline = sessionRecorder.formatTimeline(recording).split("\n");
+                    jqUnit.assertEquals("Timeline should have a line per frame", recording.entries.length + 1,
+                        timeline.length);
+                    jqUnit.assertTrue("Timeline should show the direction", /^\+\d+\.\d{3}s <- /.test(timeline[2]));
+
+                    return sessionRecorder.replay(recording, {
+                        add: function (data) {
+                            return data.a * data.b;
+                        },
+                        fail: function () {
+                            throw new Error("failed");
+                        }
+                    });
+                }).then(function (results) {
+                    jqUnit.assertDeepEq("Changed response should not match", [false, true],
+                        results.map(function (result) {
+                            return result.matched;
+                        }));
+                    jqUnit.assertEquals("Replayed response should be from the handler", 2, results[0].replayed.data);
+                    jqUnit.assertEquals("Recorded response should be included", 3, results[0].recorded.data);
+                    jqUnit.start();
+                });
+            });
+            sessionB.close();
+        });
+    }, {
+        recorder: recorder,
+        encodings: ["msgpack", "json"]
+    }, {
+        encodings: ["msgpack", "json"]
+    });
+});
+
+jqUnit.asyncTest("Test recording to a file that can't be written", function () {
+    jqUnit.expect(4);
+    // The directory itself, which can't be opened as a file.
+    var recorder = new sessionRecorder.Recorder(createRecordingDir(), "test-session");
+
+    recorder.on("error", function (err) {
+        jqUnit.assertEquals("The error should be emitted", "EISDIR", err.code);
+        jqUnit.assertTrue("Recording should stop", recorder.closed);
+
+        testUtils.createSessionPair(function (sessionA, sessionB) {
+            sessionA.requestHandler = function () {
+                return "still working";
+            };
+            sessionB.request("test").then(function (result) {
+                jqUnit.assertEquals("The session should still work", "still working", result);
+                sessionB.close();
+                return recorder.close();
+            }).then(function () {
+                jqUnit.assert("The recorder should close");
+                jqUnit.start();
+            });
+        }, {
+            recorder: recorder
+        });
+    });
+});
+
+jqUnit.test("Test reading a file that isn't a recording", function () {
+    var dir = createRecordingDir();
+    var file = path.join(dir, "not-a-recording");
+    fs.writeFileSync(file, "{\"hello\": 1}\n");
+
+    try {
+        sessionRecorder.readRecording(file);
+        jqUnit.fail("readRecording should throw");
+    } catch (e) {
+        jqUnit.assertTrue("readRecording should throw", /not a session recording/.test(e.message));
+    }
+});
+
+jqUnit.test("Test decodePayload", function () {
+    var streamFrame = Buffer.from([0, 7, 0, 0, 0, 1, 2, 3]);
+    jqUnit.assertDeepEq("Stream data should be described", { streamData: 7, length: 3 },
+        sessionRecorder.decodePayload(streamFrame));
+    jqUnit.assertDeepEq("A short stream frame should be reported, not thrown", { invalidFrame: "0001" },
+        sessionRecorder.decodePayload(Buffer.from([0, 1])));
+});
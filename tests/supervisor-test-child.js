@@ -0,0 +1,35 @@
+"use strict";
+
+// A managed application for the supervisor tests, which talks to the service over the channel on FD 3.
+//  node supervisor-test-child.js SESSION-TYPE (exit|ignore|refuse)
+//    exit    Exit after replying to the shutdown request.
+//    ignore  Reply to the shutdown request, but don't exit.
+//    refuse  Reply to the shutdown request with an error.
+// sessionChange requests are echoed back as a "sessionChange" notification.
+
+var net = require("net"),
+    messaging = require("../src/pipe-messaging.js");
+
+var sessionType = process.argv[2];
+var option = process.argv[3];
+
+var session = messaging.createSession(new net.Socket({ fd: 3 }), sessionType, {
+    requestTypes: ["shutdown", "sessionChange"]
+});
+
+session.requestHandler = function (requestType, data) {
+    if (requestType === "sessionChange") {
+        session.sendNotification("sessionChange", data);
+    } else if (requestType === "shutdown") {
+        if (option === "refuse") {
+            throw new Error("Not now");
+        } else if (option === "exit") {
+            setTimeout(process.exit, 50);
+        }
+    }
+};
+
+// Ignore SIGTERM, so only a forced termination stops it.
+process.on("SIGTERM", function () {});
+session.on("error", function () {});
+session.on("close", function () {});
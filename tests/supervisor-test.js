@@ -0,0 +1,479 @@
+"use strict";
+
+var jqUnit = require("node-jqunit"),
+    fs = require("fs"),
+    os = require("os"),
+    path = require("path"),
+    Promise = require("bluebird"),
+    service = require("../src/service.js"),
+    supervisor = require("../src/supervisor.js"),
+    crashReports = require("../src/crash-reports.js");
+
+// Write the output of the applications, and the crash reports, to temporary directories.
+var logDir = fs.mkdtempSync(path.join(os.tmpdir(), "gpii-supervisor-test"));
+var crashReportDir = fs.mkdtempSync(path.join(os.tmpdir(), "gpii-supervisor-test"));
+supervisor.appDefaults.output.dir = logDir;
+supervisor.crashReportDir = crashReportDir;
+
+/**
+ * Removes the files in a directory.
+ *
+ * @param dir {String} The directory.
+ */
+function emptyDir(dir) {
+    fs.readdirSync(dir).forEach(function (file) {
+        fs.unlinkSync(path.join(dir, file));
+    });
+}
+
+jqUnit.module("GPII supervisor tests", {
+    teardown: function () {
+        Object.keys(supervisor.apps).forEach(supervisor.removeApp);
+        emptyDir(logDir);
+        emptyDir(crashReportDir);
+    }
+});
+
+jqUnit.onAllTestsDone.addListener(function () {
+    fs.rmdirSync(logDir);
+    fs.rmdirSync(crashReportDir);
+});
+
+// A command that runs until it's killed, and one that fails straight away.
+var runCommand = "\"" + process.execPath + "\" -e \"setTimeout(function () {}, 60000)\"";
+var failCommand = "\"" + process.execPath + "\" -e \"process.exit(1)\"";
+
+var noHeartbeat = {
+    heartbeat: { interval: 0 }
+};
+
+/**
+ * Starts the test child (supervisor-test-child.js), and waits for its messaging session to be ready.
+ *
+ * @param option {String} How the child responds to the shutdown request.
+ * @param gracePeriod {Number} The shutdown grace period.
+ * @return {Promise} Resolves with the app.
+ */
+function startChild(option, gracePeriod) {
+    var script = path.join(__dirname, "supervisor-test-child.js");
+    var app = supervisor.addApp("test-app", {
+        command: "\"" + process.execPath + "\" \"" + script + "\" test-app " + option,
+        session: noHeartbeat,
+        shutdown: { gracePeriod: gracePeriod }
+    });
+
+    return app.start().then(function () {
+        return new Promise(function (resolve) {
+            app.session.once("ready", function () {
+                resolve(app);
+            });
+        });
+    });
+}
+
+jqUnit.test("Test addApp", function () {
+    var app = supervisor.addApp("test-app", {
+        command: runCommand,
+        restart: { initialDelay: 5 }
+    });
+
+    jqUnit.assertEquals("addApp should add the app", app, supervisor.apps["test-app"]);
+    jqUnit.assertEquals("Restart config should be merged with the defaults", 5, app.config.restart.initialDelay);
+    jqUnit.assertEquals("Restart config should keep the defaults",
+        supervisor.appDefaults.restart.maxFailures, app.config.restart.maxFailures);
+    jqUnit.assertDeepEq("getStatus should return the status of the app",
+        [{ name: "test-app", pid: null, starting: false, restartCount: 0, lastExitCode: null, lastSignal: null }],
+        supervisor.getStatus("test-app"));
+
+    try {
+        supervisor.addApp("test-app", {});
+        jqUnit.fail("addApp should throw for a duplicate name");
+    } catch (e) {
+        jqUnit.assertTrue("addApp should throw for a duplicate name", e.message.indexOf("test-app") >= 0);
+    }
+});
+
+if (process.platform !== "win32") {
+    jqUnit.test("Test serviceStarted", function () {
+        var saved = {
+            isService: service.isService,
+            startAll: supervisor.startAll,
+            configFile: supervisor.configFile,
+            sessionActionsFile: supervisor.sessionActionsFile
+        };
+        var started = false;
+        service.isService = true;
+        supervisor.startAll = function () {
+            started = true;
+        };
+        supervisor.configFile = null;
+        supervisor.sessionActionsFile = null;
+
+        try {
+            supervisor.serviceStarted();
+        } finally {
+            service.isService = saved.isService;
+            supervisor.startAll = saved.startAll;
+            supervisor.configFile = saved.configFile;
+            supervisor.sessionActionsFile = saved.sessionActionsFile;
+        }
+
+        jqUnit.assertTrue("The applications should be started by a service", started);
+    });
+}
+
+jqUnit.test("Test session actions", function () {
+    var defaultActions = Object.assign({}, supervisor.sessionActions);
+    var app = supervisor.addApp("test-app", {
+        command: runCommand,
+        sessionActions: {
+            "session-lock": ["pause-restarts"]
+        }
+    });
+
+    jqUnit.assertDeepEq("Logon should start the app by default", ["start"], app.getSessionActions("session-logon"));
+    jqUnit.assertDeepEq("Logoff should stop the app by default", ["stop"], app.getSessionActions("session-logoff"));
+    jqUnit.assertDeepEq("The app's own actions should be used", ["pause-restarts"],
+        app.getSessionActions("session-lock"));
+    jqUnit.assertDeepEq("Unknown events should have no actions", [], app.getSessionActions("session-unknown"));
+
+    var file = path.join(logDir, "session-actions.json");
+    fs.writeFileSync(file, JSON.stringify({ "remote-connect": ["stop"] }));
+    try {
+        supervisor.loadSessionActions(file);
+        jqUnit.assertDeepEq("Actions should be loaded from the file", ["stop"], app.getSessionActions("remote-connect"));
+        jqUnit.assertDeepEq("Other actions should be kept", ["start"], app.getSessionActions("session-logon"));
+    } finally {
+        supervisor.sessionActions = defaultActions;
+    }
+});
+
+if (process.platform !== "win32") {
+    jqUnit.asyncTest("Test start and stop", function () {
+        jqUnit.expect(7);
+
+        var app = supervisor.addApp("test-app", {
+            command: runCommand,
+            session: noHeartbeat
+        });
+
+        var events = [];
+        var sessionEventArg;
+        service.on("*", function listener(eventName, name, arg) {
+            if (name === "test-app") {
+                events.push(eventName);
+            }
+            if (eventName === "supervisor.session") {
+                sessionEventArg = arg;
+            }
+            if (eventName === "supervisor.stopped") {
+                service.removeListener("*", listener);
+            }
+        });
+
+        app.on("restarting", function () {
+            jqUnit.fail("The app should not be restarted after being stopped");
+        });
+
+        app.on("stopped", function (pid) {
+            jqUnit.assertEquals("stopped event should pass the pid", startedPid, pid);
+            jqUnit.assertNull("The app should not have a pid after stopping", app.pid);
+            // The service event follows the app's event.
+            process.nextTick(function () {
+                jqUnit.assertDeepEq("Service events should be emitted",
+                    ["supervisor.session", "supervisor.started", "supervisor.stopped"], events);
+                jqUnit.assertEquals("The session service event should pass the pid", startedPid, sessionEventArg);
+                jqUnit.start();
+            });
+        });
+
+        var startedPid;
+        app.start().then(function (started) {
+            jqUnit.assertTrue("start should resolve with true", started);
+            startedPid = app.pid;
+            jqUnit.assertEquals("status should have the pid", startedPid, supervisor.getStatus()[0].pid);
+            jqUnit.assertTrue("The app should have a session", !!app.session);
+            app.stop();
+        });
+    });
+
+    jqUnit.asyncTest("Test restart after failing", function () {
+        jqUnit.expect(6);
+
+        var app = supervisor.addApp("test-app", {
+            command: failCommand,
+            session: noHeartbeat,
+            restart: {
+                maxFailures: 3,
+                initialDelay: 10,
+                multiplier: 2,
+                jitter: 0,
+                coolOff: 0
+            }
+        });
+
+        var startCount = 0;
+        var delays = [];
+        var gaveUp = false;
+        app.on("started", function () {
+            startCount++;
+        });
+        app.on("restarting", function (delay) {
+            delays.push(delay);
+        });
+        app.on("gave-up", function () {
+            gaveUp = true;
+        });
+        app.on("stopped", function () {
+            if (app.restartCount >= 3) {
+                // Give it the chance to (wrongly) restart.
+                setTimeout(function () {
+                    jqUnit.assertEquals("The app should have been started 3 times", 3, startCount);
+                    jqUnit.assertDeepEq("The restart delay should increase", [10, 20], delays);
+                    jqUnit.assertTrue("gave-up should be emitted", gaveUp);
+                    jqUnit.assertEquals("status should have the restart count", 3,
+                        supervisor.getStatus("test-app")[0].restartCount);
+                    jqUnit.assertNull("The app should not be running", app.pid);
+                    jqUnit.assertNull("There should be no restart pending", app.restartTimer);
+                    jqUnit.start();
+                }, 100);
+            }
+        });
+
+        app.start();
+    });
+
+    jqUnit.asyncTest("Test graceful stop", function () {
+        jqUnit.expect(3);
+
+        startChild("exit", 5000).then(function (app) {
+            var startTime = Date.now();
+            app.on("restarting", function () {
+                jqUnit.fail("The app should not be restarted after being stopped");
+            });
+            return app.stop("test").then(function () {
+                jqUnit.assertTrue("The app should exit before the grace period", Date.now() - startTime < 5000);
+                jqUnit.assertNull("The app should not have a pid after stopping", app.pid);
+                jqUnit.assertNull("The app should not be stopping", app.stopping);
+                jqUnit.start();
+            });
+        });
+    });
+
+    jqUnit.asyncTest("Test stop after the grace period", function () {
+        jqUnit.expect(2);
+
+        startChild("ignore", 300).then(function (app) {
+            var startTime = Date.now();
+            return app.stop("test").then(function () {
+                jqUnit.assertTrue("The app should be terminated after the grace period", Date.now() - startTime >= 300);
+                jqUnit.assertNull("The app should not have a pid after stopping", app.pid);
+                jqUnit.start();
+            });
+        });
+    });
+
+    jqUnit.asyncTest("Test stop after refusing", function () {
+        jqUnit.expect(2);
+
+        startChild("refuse", 5000).then(function (app) {
+            var startTime = Date.now();
+            var stopping = app.stop("test");
+            jqUnit.assertEquals("Stopping again should return the same promise", stopping, app.stop("test"));
+            return stopping.then(function () {
+                jqUnit.assertTrue("The app should be terminated without waiting for the grace period",
+                    Date.now() - startTime < 5000);
+                jqUnit.start();
+            });
+        });
+    });
+
+    jqUnit.asyncTest("Test output capture", function () {
+        jqUnit.expect(3);
+
+        var app = supervisor.addApp("test-app", {
+            command: "\"" + process.execPath + "\" -e \"console.log('out 1'); console.error('err 1')\"",
+            session: noHeartbeat,
+            restart: { enabled: false }
+        });
+
+        app.on("stopped", function (pid) {
+            // Wait for the output to be read and written.
+            app.outputDone.then(function () {
+                var tag = "[" + pid + " " + app.launchId + "]";
+                var lines = fs.readFileSync(path.join(logDir, "test-app.log"), "utf8").split("\n");
+                jqUnit.assertTrue("launchId should be set", !!app.launchId);
+                jqUnit.assertTrue("stdout should be in the log", lines.some(function (line) {
+                    return line.indexOf(tag + " stdout: out 1") > 0;
+                }));
+                jqUnit.assertTrue("stderr should be in the log", lines.some(function (line) {
+                    return line.indexOf(tag + " stderr: err 1") > 0;
+                }));
+                jqUnit.start();
+            });
+        });
+
+        app.start();
+    });
+
+    jqUnit.asyncTest("Test crash report", function () {
+        jqUnit.expect(8);
+
+        var app = supervisor.addApp("test-app", {
+            command: "\"" + process.execPath + "\" -e \"console.error('failing'); process.exit(3)\"",
+            session: noHeartbeat,
+            restart: { enabled: false }
+        });
+        app.getCrashInfo = function () {
+            return { extra: "info" };
+        };
+
+        var pid;
+        app.on("started", function (startedPid) {
+            pid = startedPid;
+        });
+
+        app.on("crashed", function (file) {
+            var report = crashReports.read(file);
+            jqUnit.assertEquals("Report should be in the crash report directory", crashReportDir, path.dirname(file));
+            jqUnit.assertEquals("Report should have the app name", "test-app", report.app);
+            jqUnit.assertEquals("Report should have the pid", pid, report.pid);
+            jqUnit.assertEquals("Report should have the launch id", app.launchId, report.launchId);
+            jqUnit.assertEquals("Report should have the uptime", "number", typeof(report.uptime));
+            jqUnit.assertDeepEq("Report should have the output", ["stderr: failing"], report.output);
+            jqUnit.assertTrue("Report should have the session events", report.sessionEvents.some(function (e) {
+                return e.event === "close";
+            }));
+            jqUnit.assertEquals("Report should have the application's info", "info", report.extra);
+            jqUnit.start();
+        });
+
+        app.start();
+    });
+
+    jqUnit.asyncTest("Test exit codes", function () {
+        jqUnit.expect(6);
+
+        // Exits with 75 the first time it's started, then 0.
+        var marker = path.join(logDir, "started");
+        var script = "var fs = require('fs'), file = process.argv[1];"
+            + "if (fs.existsSync(file)) { fs.unlinkSync(file); process.exit(0); }"
+            + "fs.writeFileSync(file, ''); process.exit(75);";
+        var app = supervisor.addApp("test-app", {
+            command: "\"" + process.execPath + "\" -e \"" + script + "\" \"" + marker + "\"",
+            session: noHeartbeat,
+            restart: {
+                initialDelay: 60000,
+                // Every run is long enough.
+                healthyAfter: 0,
+                exitCodes: { "0": "stop", "75": "restart-now" }
+            }
+        });
+
+        var starts = 0;
+        app.on("started", function () {
+            starts++;
+        });
+        app.on("crashed", function () {
+            jqUnit.fail("Exit codes with an action should not be crashes");
+        });
+        app.on("restarting", function (delay) {
+            jqUnit.assertEquals("Exit code 75 should restart straight away", 0, delay);
+            jqUnit.assertEquals("Exit code 75 should not be a failure", 0, app.restartCount);
+        });
+
+        app.on("stopped", function () {
+            if (starts === 2) {
+                jqUnit.assertEquals("The last exit code should be in the status", 0,
+                    supervisor.getStatus("test-app")[0].lastExitCode);
+                jqUnit.assertNull("There should be no signal", app.lastSignal);
+                // Give it the chance to wrongly restart.
+                setTimeout(function () {
+                    jqUnit.assertEquals("Exit code 0 should not restart", 2, starts);
+                    jqUnit.assertNull("There should be no restart pending", app.restartTimer);
+                    jqUnit.start();
+                }, 100);
+            }
+        });
+
+        app.start();
+    });
+
+    jqUnit.asyncTest("Test restart-now during start-up", function () {
+        jqUnit.expect(2);
+
+        var app = supervisor.addApp("test-app", {
+            command: "\"" + process.execPath + "\" -e \"process.exit(75)\"",
+            session: noHeartbeat,
+            restart: {
+                initialDelay: 60000,
+                jitter: 0,
+                exitCodes: { "75": "restart-now" }
+            }
+        });
+
+        app.on("restarting", function (delay) {
+            jqUnit.assertEquals("A short run should be restarted after the restart policy's delay", 60000, delay);
+            jqUnit.assertEquals("A short run should be a failure", 1, app.restartCount);
+            app.stop().then(jqUnit.start);
+        });
+
+        app.start();
+    });
+
+    jqUnit.asyncTest("Test session change notification", function () {
+        jqUnit.expect(2);
+
+        startChild("exit", 1000).then(function (app) {
+            app.session.once("notification", function (name, data) {
+                jqUnit.assertEquals("The child should receive the sessionChange request", "sessionChange", name);
+                jqUnit.assertDeepEq("The request should have the event",
+                    { event: "session-lock", restartsPaused: false }, data);
+                app.stop().then(jqUnit.start);
+            });
+
+            supervisor.sessionChange("session-lock");
+        });
+    });
+
+    jqUnit.asyncTest("Test pausing restarts", function () {
+        jqUnit.expect(5);
+
+        var app = supervisor.addApp("test-app", {
+            command: runCommand,
+            session: noHeartbeat,
+            restart: { initialDelay: 0, jitter: 0 },
+            sessionActions: {
+                "session-lock": ["pause-restarts"],
+                "session-unlock": ["resume-restarts"],
+                "remote-connect": ["stop"]
+            }
+        });
+
+        app.start().then(function () {
+            return supervisor.sessionChange("session-lock");
+        }).then(function () {
+            jqUnit.assertTrue("Restarts should be paused", app.restartsPaused);
+
+            app.once("restart-paused", function () {
+                jqUnit.assertNull("The app should not be restarted while paused", app.pid);
+
+                app.once("started", function () {
+                    jqUnit.assertFalse("Restarts should be resumed", app.restartsPaused);
+
+                    app.on("restarting", function () {
+                        jqUnit.fail("The app should not be restarted after being stopped by a session change");
+                    });
+                    supervisor.sessionChange("remote-connect").then(function () {
+                        jqUnit.assertNull("The app should be stopped by the session change", app.pid);
+                        jqUnit.assertFalse("There should be no pending restart", app.restartPending);
+                        jqUnit.start();
+                    });
+                });
+                supervisor.sessionChange("session-unlock");
+            });
+
+            app.kill("SIGKILL");
+        });
+    });
+}
@@ -0,0 +1,65 @@
+/* Utilities shared by the tests.
+ *
+ * Copyright 2017 Raising the Floor - International
+ *
+ * Licensed under the New BSD license. You may not use this file except in
+ * compliance with this License.
+ *
+ * The R&D leading to these results received funding from the
+ * Department of Education - Grant H421A150005 (GPII-APCP). However,
+ * these results do not necessarily represent the policy of the
+ * Department of Education, and you should not assume endorsement by the
+ * Federal Government.
+ *
+ * You may obtain a copy of the License at
+ * https://github.com/GPII/universal/blob/master/LICENSE.txt
+ */
+
+"use strict";
+
+var net = require("net"),
+    messaging = require("../src/pipe-messaging.js");
+
+var testUtils = exports;
+
+/**
+ * Creates a pair of connected sockets.
+ *
+ * @param callback {Function(serverSocket,clientSocket)} Called when connected.
+ */
+testUtils.createSocketPair = function (callback) {
+    var server = net.createServer();
+    server.on("connection", function (serverSocket) {
+        server.close();
+        callback(serverSocket, client);
+    });
+    var client;
+    server.listen(0, "127.0.0.1", function () {
+        client = net.createConnection(server.address().port, "127.0.0.1");
+    });
+};
+
+/**
+ * Creates a pair of sessions, connected to each other.
+ *
+ * @param callback {Function(sessionA,sessionB,socketB)} Called when both sessions are ready.
+ * @param optionsA {Object} [optional] Options for the first session.
+ * @param optionsB {Object} [optional] Options for the second session.
+ */
+testUtils.createSessionPair = function (callback, optionsA, optionsB) {
+    testUtils.createSocketPair(function (socketA, socketB) {
+        var sessions = [
+            messaging.createSession(socketA, "test-session", optionsA),
+            messaging.createSession(socketB, "test-session", optionsB)
+        ];
+
+        var readyCount = 0;
+        sessions.forEach(function (session) {
+            session.on("ready", function () {
+                if (++readyCount === sessions.length) {
+                    callback(sessions[0], sessions[1], socketB);
+                }
+            });
+        });
+    });
+};
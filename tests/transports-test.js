@@ -0,0 +1,199 @@
+"use strict";
+
+var jqUnit = require("node-jqunit"),
+    fs = require("fs"),
+    path = require("path"),
+    transports = require("../src/transports.js"),
+    messaging = require("../src/pipe-messaging.js");
+
+var teardowns = [];
+
+jqUnit.module("GPII transport tests", {
+    teardown: function () {
+        while (teardowns.length) {
+            teardowns.pop()();
+        }
+    }
+});
+
+jqUnit.test("Test get", function () {
+    jqUnit.assertEquals("Named transport should be returned", "tcp", transports.get("tcp").name);
+    jqUnit.assertEquals("Default transport should be returned", transports.defaultTransport, transports.get().name);
+    try {
+        transports.get("carrier-pigeon");
+        jqUnit.fail("Unknown transport should throw");
+    } catch (e) {
+        jqUnit.assertTrue("Unknown transport should throw", /Unknown transport/.test(e.message));
+    }
+});
+
+// Named pipes are tested by gpii-pipe-test.js
+["unix-socket", "tcp"].forEach(function (transportName) {
+    var transport = transports.get(transportName);
+
+    jqUnit.asyncTest("Test session over " + transportName, function () {
+        jqUnit.expect(2);
+
+        transport.prepareChild().then(function (child) {
+            var address = child.env[transports.addressEnvName];
+            jqUnit.assertEquals("Child should be told the transport", transportName,
+                child.env[transports.transportEnvName]);
+
+            // This process plays the part of the child.
+            child.connected(process.pid).then(function (serverSocket) {
+                var serviceSession = messaging.createSession(serverSocket, "test-session");
+                serviceSession.requestHandler = function (type, data) {
+                    return data + 1;
+                };
+                teardowns.push(function () {
+                    serviceSession.close();
+                });
+            });
+
+            return transport.connect(address);
+        }).then(function (clientSocket) {
+            var clientSession = messaging.createSession(clientSocket, "test-session");
+            teardowns.push(function () {
+                clientSession.close();
+            });
+            return clientSession.request("increment", 41);
+        }).then(function (result) {
+            jqUnit.assertEquals("Request should work over the transport", 42, result);
+            jqUnit.start();
+        });
+    });
+
+    jqUnit.asyncTest("Test closing an unused child connection over " + transportName, function () {
+        jqUnit.expect(1);
+
+        transport.prepareChild().then(function (child) {
+            // The child couldn't be started.
+            child.close();
+            return transport.connect(child.env[transports.addressEnvName]);
+        }).then(function (socket) {
+            socket.destroy();
+            jqUnit.fail("The server should be closed");
+        }, function () {
+            jqUnit.assert("The server should be closed");
+            jqUnit.start();
+        });
+    });
+});
+
+jqUnit.asyncTest("Test tcp peer pid", function () {
+    jqUnit.expect(2);
+
+    var transport = transports.get("tcp");
+    var originalTimeout = transports.connectTimeout;
+    transports.connectTimeout = 500;
+    teardowns.push(function () {
+        transports.connectTimeout = originalTimeout;
+    });
+
+    transport.prepareChild().then(function (child) {
+        var address = child.env[transports.addressEnvName];
+
+        // Expect a different process.
+        child.connected(process.pid + 1).then(function () {
+            jqUnit.fail("Connection from the wrong process should be refused");
+        }, function (err) {
+            jqUnit.assertTrue("Waiting for the child should time out", /Timed out/.test(err.message));
+            jqUnit.start();
+        });
+
+        transport.connect(address).then(function (socket) {
+            socket.on("error", function () {});
+            socket.on("close", function () {
+                jqUnit.assert("Connection from the wrong process should be refused");
+            });
+        });
+    });
+});
+
+jqUnit.asyncTest("Test tcp unknown peer", function () {
+    jqUnit.expect(2);
+
+    var transport = transports.get("tcp");
+    var originalTimeout = transports.connectTimeout;
+    var getTcpOwnerPid = transports.getTcpOwnerPid;
+    transports.connectTimeout = 500;
+    // The owner of the connection can't be found (for example, it belongs to another user).
+    transports.getTcpOwnerPid = function () {
+        return null;
+    };
+    teardowns.push(function () {
+        transports.connectTimeout = originalTimeout;
+        transports.getTcpOwnerPid = getTcpOwnerPid;
+    });
+
+    transport.prepareChild().then(function (child) {
+        var address = child.env[transports.addressEnvName];
+
+        child.connected(process.pid).then(function () {
+            jqUnit.fail("Connection from an unknown process should be refused");
+        }, function (err) {
+            jqUnit.assertTrue("Waiting for the child should time out", /Timed out/.test(err.message));
+            jqUnit.start();
+        });
+
+        transport.connect(address).then(function (socket) {
+            socket.on("error", function () {});
+            socket.on("close", function () {
+                jqUnit.assert("Connection from an unknown process should be refused");
+            });
+        });
+    });
+});
+
+if (process.platform !== "win32") {
+    jqUnit.asyncTest("Test unix-socket directory", function () {
+        jqUnit.expect(3);
+
+        var transport = transports.get("unix-socket");
+        var address = transport.generateAddress();
+        var dir = path.dirname(address);
+        // 0700
+        jqUnit.assertEquals("The socket directory should only be accessible to its owner", 0x1c0,
+            fs.statSync(dir).mode & 0x1ff);
+
+        transport.listen(address).then(function (server) {
+            jqUnit.assertTrue("The socket should be in the directory", fs.existsSync(address));
+            server.close(function () {
+                setTimeout(function () {
+                    jqUnit.assertFalse("The directory should be removed", fs.existsSync(dir));
+                    jqUnit.start();
+                }, 100);
+            });
+        });
+    });
+
+    jqUnit.asyncTest("Test unix-socket directory owner", function () {
+        jqUnit.expect(2);
+
+        var transport = transports.get("unix-socket");
+        var generateAddress = transport.generateAddress;
+        var chownSync = fs.chownSync;
+        var address = null;
+        transport.generateAddress = function () {
+            address = generateAddress.call(this);
+            return address;
+        };
+        fs.chownSync = function () {
+            var err = new Error("Not permitted");
+            err.code = "EPERM";
+            throw err;
+        };
+        teardowns.push(function () {
+            transport.generateAddress = generateAddress;
+            fs.chownSync = chownSync;
+        });
+
+        transport.prepareChild({ uid: 1234 }).then(function () {
+            jqUnit.fail("prepareChild should fail");
+        }, function (err) {
+            jqUnit.assertEquals("prepareChild should fail", "EPERM", err.code);
+            jqUnit.assertFalse("The directory should be removed", fs.existsSync(path.dirname(address)));
+            jqUnit.start();
+        });
+    });
+}